@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+import { spawn } from "node:child_process";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseFlags, renderUsage, UsageError } from "./landing/cli.mjs";
+import { EXIT_QUARANTINED, EXIT_USAGE, rootDir } from "./landing/config.mjs";
+import { parseNonNegativeInteger, parsePositiveInteger } from "./landing/options.mjs";
+import { DEFAULT_WEBHOOK_PORT, WEBHOOK_EVENTS, WEBHOOK_PATH, verifySignature } from "./landing/webhook.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const generatorPath = path.join(__dirname, "generate-landing-pages.mjs");
+const defaultQueuePath = path.join(rootDir, ".landing-webhook", "queue.json");
+
+const PROGRAM = "node scripts/landing-webhook-listener.mjs";
+const STATUS_PATH = "/status";
+const DEFAULT_DEBOUNCE_MS = 10_000;
+const DEFAULT_MAX_WAIT_MS = 60_000;
+const DEFAULT_RETRY_DELAY_MS = 60_000;
+const MAX_RETRY_DELAY_MS = 15 * 60_000;
+const MAX_BODY_BYTES = 64 * 1024;
+const QUEUE_VERSION = 1;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const FLAGS = {
+  port: { value: "port", parse: (value) => parsePositiveInteger(value, "port"), description: `Port to listen on (default: ${DEFAULT_WEBHOOK_PORT}).` },
+  secret: { value: "secret", description: "Shared webhook secret (prefer env LANDING_WEBHOOK_SECRET)." },
+  queue: { value: "file", description: "Queue of pending products (default: .landing-webhook/queue.json)." },
+  debounceMs: { value: "ms", parse: (value) => parseNonNegativeInteger(value, "debounce-ms"), description: `Quiet time before a run (default: ${DEFAULT_DEBOUNCE_MS}).` },
+  maxWaitMs: { value: "ms", parse: (value) => parsePositiveInteger(value, "max-wait-ms"), description: `Longest wait after the first queued webhook (default: ${DEFAULT_MAX_WAIT_MS}).` },
+  help: { alias: "h", description: "Show this help." }
+};
+
+const EXIT_CODES = [
+  [0, "Stopped with SIGINT or SIGTERM."],
+  [1, "The listener could not start (missing secret, unreadable queue, port in use)."],
+  [EXIT_USAGE, "Unknown flag or an invalid flag value."]
+];
+
+main().catch((error) => {
+  if (error instanceof UsageError) {
+    console.error(`[landing-webhook] ${error.message}`);
+    console.error(`Run "${PROGRAM} --help" for usage.`);
+    process.exit(EXIT_USAGE);
+  }
+  console.error(`[landing-webhook] ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+});
+
+async function main() {
+  const { options: args, generatorArgs } = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(renderUsage({
+      usage: `${PROGRAM} [options] [-- generator options]`,
+      summary: "Regenerate the products reported by signed ERP webhooks with targeted builds.",
+      flags: FLAGS,
+      exitCodes: EXIT_CODES
+    }));
+    return;
+  }
+
+  const secret = args.secret ?? process.env.LANDING_WEBHOOK_SECRET ?? "";
+  if (!secret) {
+    throw new Error("Missing webhook secret. Set --secret or LANDING_WEBHOOK_SECRET.");
+  }
+
+  const queuePath = path.resolve(rootDir, args.queue ?? path.relative(rootDir, defaultQueuePath));
+  const port = args.port ?? DEFAULT_WEBHOOK_PORT;
+
+  const queue = await createPersistentQueue(queuePath);
+  const scheduler = createRegenerationScheduler({
+    queue,
+    generatorArgs,
+    debounceMs: args.debounceMs ?? DEFAULT_DEBOUNCE_MS,
+    maxWaitMs: args.maxWaitMs ?? DEFAULT_MAX_WAIT_MS
+  });
+
+  const server = http.createServer((request, response) => {
+    handleRequest({ request, secret, queue, scheduler })
+      .then((result) => sendJson(response, result.status, result.body))
+      .catch((error) => {
+        console.error(`[landing-webhook] ${error instanceof Error ? error.message : String(error)}`);
+        sendJson(response, 500, { message: "Internal error." });
+      });
+  });
+
+  server.listen(port, () => {
+    console.log(`[landing-webhook] Listening on http://localhost:${port}${WEBHOOK_PATH}`);
+    console.log(`[landing-webhook] Queue file: ${path.relative(rootDir, queuePath)} (${queue.size()} pending)`);
+  });
+
+  // Changes received before a restart are regenerated right away.
+  if (queue.size() > 0) {
+    scheduler.runSoon();
+  }
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      scheduler.stop();
+      server.close(() => process.exit(0));
+    });
+  }
+}
+
+// Everything after "--" is passed to the generator unchanged, e.g. "-- --out-dir build/site".
+function parseArgs(rawArgs) {
+  const separator = rawArgs.indexOf("--");
+  const ownArgs = separator === -1 ? rawArgs : rawArgs.slice(0, separator);
+  const generatorArgs = separator === -1 ? [] : rawArgs.slice(separator + 1);
+
+  return { options: parseFlags(ownArgs, FLAGS), generatorArgs };
+}
+
+async function handleRequest({ request, secret, queue, scheduler }) {
+  const url = new URL(request.url, "http://localhost");
+
+  if (url.pathname === STATUS_PATH) {
+    if (request.method !== "GET") {
+      return { status: 405, body: { message: "Use GET." } };
+    }
+    return { status: 200, body: { queued: queue.entries(), ...scheduler.status() } };
+  }
+
+  if (url.pathname !== WEBHOOK_PATH) {
+    return { status: 404, body: { message: "Not found." } };
+  }
+  if (request.method !== "POST") {
+    return { status: 405, body: { message: "Use POST." } };
+  }
+
+  const rawBody = await readBody(request);
+  if (rawBody == null) {
+    return { status: 413, body: { message: `Body is larger than ${MAX_BODY_BYTES} bytes.` } };
+  }
+
+  const signatureError = verifySignature({
+    secret,
+    rawBody,
+    timestamp: request.headers["x-discor-timestamp"],
+    signature: request.headers["x-discor-signature"]
+  });
+  if (signatureError) {
+    console.warn(`[landing-webhook] Rejected webhook: ${signatureError}`);
+    return { status: 401, body: { message: signatureError } };
+  }
+
+  let event;
+  try {
+    event = parseEvent(JSON.parse(rawBody.toString("utf8")));
+  } catch (error) {
+    return { status: 400, body: { message: error.message } };
+  }
+
+  await queue.add(event);
+  scheduler.schedule();
+  console.log(`[landing-webhook] Queued ${event.event} for ${event.productId ?? `SKU ${event.sku}`} (${queue.size()} pending).`);
+  return { status: 202, body: { message: "Queued.", pending: queue.size() } };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+}
+
+function parseEvent(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new Error("Body must be a JSON object.");
+  }
+  if (!WEBHOOK_EVENTS.includes(payload.event)) {
+    throw new Error(`event must be one of ${WEBHOOK_EVENTS.join(", ")}.`);
+  }
+  if (payload.productId != null && (typeof payload.productId !== "string" || !UUID_PATTERN.test(payload.productId))) {
+    throw new Error("productId must be a UUID.");
+  }
+  if (payload.sku != null && (typeof payload.sku !== "string" || payload.sku.trim() === "")) {
+    throw new Error("sku must be a non-empty string.");
+  }
+  if (!payload.productId && !payload.sku) {
+    throw new Error("productId or sku is required.");
+  }
+  // The generator reads --sku as a comma-separated list.
+  if (!payload.productId && payload.sku.includes(",")) {
+    throw new Error("sku must not contain commas; send productId instead.");
+  }
+
+  return {
+    event: payload.event,
+    productId: payload.productId ?? null,
+    sku: payload.productId ? null : payload.sku.trim(),
+    occurredAt: typeof payload.occurredAt === "string" ? payload.occurredAt : null
+  };
+}
+
+// Pending products keyed by product id (or SKU), written to disk after every
+// change so a restart never loses a webhook that was answered with 202.
+async function createPersistentQueue(queuePath) {
+  const pending = new Map();
+
+  try {
+    const saved = JSON.parse(await readFile(queuePath, "utf8"));
+    if (saved?.version !== QUEUE_VERSION || !Array.isArray(saved.entries)) {
+      throw new Error("unknown format");
+    }
+    for (const entry of saved.entries) {
+      pending.set(queueKey(entry), entry);
+    }
+  } catch (error) {
+    if (error?.code !== "ENOENT") {
+      throw new Error(`Could not read queue ${path.relative(rootDir, queuePath)}: ${error.message}`);
+    }
+  }
+
+  const persist = async () => {
+    await mkdir(path.dirname(queuePath), { recursive: true });
+    const body = { version: QUEUE_VERSION, entries: [...pending.values()] };
+    const tempPath = `${queuePath}.tmp`;
+    await writeFile(tempPath, `${JSON.stringify(body, null, 2)}\n`, "utf8");
+    await rename(tempPath, queuePath);
+  };
+
+  return {
+    size: () => pending.size,
+    entries: () => [...pending.values()],
+
+    async add(event) {
+      // A later event for the same product replaces the earlier one.
+      pending.set(queueKey(event), { ...event, receivedAt: new Date().toISOString() });
+      await persist();
+    },
+
+    // Drops the given entries unless a newer webhook replaced them meanwhile.
+    // If the queue file cannot be written they stay queued.
+    async remove(entries) {
+      const removed = entries.filter((entry) => pending.get(queueKey(entry))?.receivedAt === entry.receivedAt);
+      for (const entry of removed) {
+        pending.delete(queueKey(entry));
+      }
+      try {
+        await persist();
+      } catch (error) {
+        for (const entry of removed) {
+          pending.set(queueKey(entry), entry);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+function queueKey(entry) {
+  return entry.productId ? `id:${entry.productId}` : `sku:${entry.sku}`;
+}
+
+// Waits until no webhook arrived for debounceMs (but never longer than
+// maxWaitMs after the first one), then regenerates every queued product in a
+// single targeted generator run. Runs never overlap.
+function createRegenerationScheduler({ queue, generatorArgs, debounceMs, maxWaitMs }) {
+  let timer = null;
+  let firstQueuedAt = null;
+  let nextRunAt = null;
+  let running = null;
+  let lastRun = null;
+  let consecutiveFailures = 0;
+  let stopped = false;
+
+  const arm = (delayMs) => {
+    clearTimeout(timer);
+    nextRunAt = Date.now() + delayMs;
+    timer = setTimeout(run, delayMs);
+  };
+
+  async function run() {
+    timer = null;
+    nextRunAt = null;
+    if (running || stopped || queue.size() === 0) {
+      return;
+    }
+
+    const batch = queue.entries();
+    firstQueuedAt = null;
+    running = { startedAt: new Date().toISOString(), products: batch.length };
+
+    // run() is called from a timer, so nothing may reject out of it: a failure
+    // keeps the batch queued and retries later.
+    try {
+      const exitCode = await runGenerator(batch, generatorArgs);
+      const succeeded = exitCode === 0 || exitCode === EXIT_QUARANTINED;
+      lastRun = { ...running, finishedAt: new Date().toISOString(), exitCode };
+      running = null;
+
+      if (!succeeded) {
+        retryLater(`Generator exited with ${exitCode}`, batch.length);
+        return;
+      }
+
+      consecutiveFailures = 0;
+      await queue.remove(batch);
+      if (queue.size() > 0 && !stopped) {
+        schedule();
+      }
+    } catch (error) {
+      running = null;
+      retryLater(`Could not finish the run (${error instanceof Error ? error.message : String(error)})`, batch.length);
+    }
+  }
+
+  function retryLater(reason, productCount) {
+    consecutiveFailures += 1;
+    const retryMs = Math.min(DEFAULT_RETRY_DELAY_MS * (2 ** (consecutiveFailures - 1)), MAX_RETRY_DELAY_MS);
+    console.warn(`[landing-webhook] ${reason}; retrying ${productCount} products in ${Math.round(retryMs / 1000)}s.`);
+    if (!stopped) {
+      arm(retryMs);
+    }
+  }
+
+  function schedule() {
+    if (running || stopped) {
+      // The batch after the current run picks up anything queued meanwhile.
+      return;
+    }
+    const now = Date.now();
+    firstQueuedAt ??= now;
+    arm(Math.max(0, Math.min(debounceMs, firstQueuedAt + maxWaitMs - now)));
+  }
+
+  return {
+    schedule,
+
+    runSoon() {
+      if (!running && !stopped) {
+        arm(0);
+      }
+    },
+
+    status() {
+      return {
+        running,
+        nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null,
+        lastRun,
+        consecutiveFailures
+      };
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+function runGenerator(batch, generatorArgs) {
+  const productIds = batch.filter((entry) => entry.productId).map((entry) => entry.productId);
+  const skus = batch.filter((entry) => !entry.productId).map((entry) => entry.sku);
+  const args = [generatorPath, "build", "--source", "api"];
+  for (const productId of productIds) {
+    args.push("--product-id", productId);
+  }
+  for (const sku of skus) {
+    args.push("--sku", sku);
+  }
+  args.push(...generatorArgs);
+
+  console.log(`[landing-webhook] Regenerating ${batch.length} products.`);
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, args, { cwd: rootDir, stdio: "inherit" });
+    child.on("error", (error) => {
+      console.error(`[landing-webhook] Could not start the generator: ${error.message}`);
+      resolve(1);
+    });
+    child.on("exit", (code, signal) => resolve(code ?? (signal ? 1 : 0)));
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  response.end(JSON.stringify(body));
+}
@@ -0,0 +1,472 @@
+// Landing API client: paging, retries, rate limiting, checkpoints, record and replay.
+
+import { mkdir, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { CHECKPOINT_VERSION, RATE_LIMIT_WINDOW_MS, RECORDING_VERSION, rootDir } from "./config.mjs";
+import { logDebug, logInfo, logWarn } from "./log.mjs";
+import { dedupeProducts, normalizeProducts, trimTrailingSlash } from "./normalize.mjs";
+import { writeFileAtomically } from "./output.mjs";
+
+export function createApiClient(args) {
+  const apiBaseUrl = trimTrailingSlash(args.apiBaseUrl ?? "");
+  const apiToken = args.apiToken ?? "";
+
+  if (!apiBaseUrl) {
+    throw new Error("Missing API base URL. Set --api-base-url, LANDING_PAGE_API_BASE_URL or apiBaseUrl in discor.config.json.");
+  }
+
+  if (!apiToken) {
+    throw new Error("Missing landing API token. Set --api-token or LANDING_PAGE_TOKEN.");
+  }
+
+  const { apiPath, retries, retryDelayMs, timeoutMs } = args;
+  const limit = Math.min(args.limit, 100);
+  const rateLimiter = createRateLimiter({ requestsPerMinute: args.rateLimit });
+
+  const request = (url) => fetchJsonWithRetry({
+    url,
+    apiToken,
+    retries,
+    retryDelayMs,
+    timeoutMs,
+    rateLimiter
+  });
+
+  return { apiBaseUrl, apiPath, limit, request };
+}
+
+export async function createApiPageFetcher(args) {
+  const { apiBaseUrl, apiPath, limit, request } = createApiClient(args);
+  const fetchPage = (page) => request(buildLandingPageUrl(apiBaseUrl, apiPath, page, limit));
+
+  if (!args.record) {
+    return fetchPage;
+  }
+
+  const recordDir = path.resolve(rootDir, args.record);
+  await startRecording(recordDir, { apiPath, limit });
+  logInfo(`[landing-pages] Recording API pages to ${path.relative(rootDir, recordDir)}/`);
+
+  return async (page) => {
+    const payload = await fetchPage(page);
+    await writeFile(path.join(recordDir, recordedPageFileName(page)), `${JSON.stringify(payload)}\n`, "utf8");
+    return payload;
+  };
+}
+
+async function startRecording(recordDir, { apiPath, limit }) {
+  await mkdir(recordDir, { recursive: true });
+
+  // Pages left over from an earlier recording would be replayed as part of this run.
+  const existing = await readdir(recordDir);
+  await Promise.all(
+    existing
+      .filter((name) => /^page-\d+\.json$/.test(name))
+      .map((name) => rm(path.join(recordDir, name)))
+  );
+
+  const recording = {
+    version: RECORDING_VERSION,
+    recordedAt: new Date().toISOString(),
+    apiPath,
+    limit
+  };
+  await writeFile(path.join(recordDir, "recording.json"), `${JSON.stringify(recording, null, 2)}\n`, "utf8");
+}
+
+export async function createReplayPageFetcher(replayDir) {
+  let recording;
+  try {
+    recording = JSON.parse(await readFile(path.join(replayDir, "recording.json"), "utf8"));
+  } catch (error) {
+    throw new Error(`${path.relative(rootDir, replayDir)} is not an API recording (${error.message}).`);
+  }
+
+  if (recording?.version !== RECORDING_VERSION) {
+    throw new Error(`Recording ${path.relative(rootDir, replayDir)} has an unknown format.`);
+  }
+
+  logInfo(`[landing-pages] Replaying API pages recorded at ${recording.recordedAt} (limit ${recording.limit}).`);
+
+  return async (page) => {
+    const pagePath = path.join(replayDir, recordedPageFileName(page));
+    try {
+      return JSON.parse(await readFile(pagePath, "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        throw new Error(`Recording ${path.relative(rootDir, replayDir)} has no API page ${page}.`);
+      }
+      throw error;
+    }
+  };
+}
+
+function recordedPageFileName(page) {
+  return `page-${String(page).padStart(4, "0")}.json`;
+}
+
+export function resolveCheckpointDir(args) {
+  return path.resolve(rootDir, args.checkpoint);
+}
+
+// A checkpoint only applies to a run that asks the API for the same pages.
+export function describeFetchSettings(args) {
+  return {
+    apiBaseUrl: trimTrailingSlash(args.apiBaseUrl ?? ""),
+    apiPath: args.apiPath,
+    limit: Math.min(args.limit, 100)
+  };
+}
+
+// Keeps every completed API page on disk next to checkpoint.json, which names
+// the last one. --resume reads those pages back instead of requesting them again.
+export async function openCheckpoint(checkpointDir, { resume, fetchSettings }) {
+  const statePath = path.join(checkpointDir, "checkpoint.json");
+  let saved = null;
+
+  if (resume) {
+    try {
+      saved = JSON.parse(await readFile(statePath, "utf8"));
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        throw new Error(`Could not read checkpoint ${path.relative(rootDir, statePath)}: ${error.message}`);
+      }
+    }
+
+    if (!saved) {
+      logWarn("[landing-pages] No checkpoint found. Starting from API page 1.");
+    } else if (saved.version !== CHECKPOINT_VERSION || !isSameFetchSettings(saved.fetchSettings, fetchSettings)) {
+      logWarn("[landing-pages] Checkpoint was written with different API settings. Starting from API page 1.");
+      saved = null;
+    }
+  }
+
+  return {
+    // Returns the saved payloads for pages 1..lastPage when they belong to this run.
+    async resumePages(updatedSince) {
+      if (!saved || saved.updatedSince !== updatedSince) {
+        return [];
+      }
+
+      const pages = [];
+      for (let page = 1; page <= saved.lastPage; page += 1) {
+        pages.push(JSON.parse(await readFile(path.join(checkpointDir, recordedPageFileName(page)), "utf8")));
+      }
+      logInfo(`[landing-pages] Resuming after API page ${saved.lastPage} from checkpoint of ${saved.startedAt}.`);
+      saved = null;
+      return pages;
+    },
+
+    async savePage(page, payload, updatedSince) {
+      if (page === 1) {
+        await this.clear();
+        await mkdir(checkpointDir, { recursive: true });
+      }
+
+      await writeFile(path.join(checkpointDir, recordedPageFileName(page)), `${JSON.stringify(payload)}\n`, "utf8");
+
+      const state = page === 1 ? null : JSON.parse(await readFile(statePath, "utf8"));
+      const next = {
+        version: CHECKPOINT_VERSION,
+        startedAt: state?.startedAt ?? new Date().toISOString(),
+        fetchSettings,
+        updatedSince,
+        lastPage: page
+      };
+      await writeFileAtomically(statePath, `${JSON.stringify(next, null, 2)}\n`);
+    },
+
+    async clear() {
+      await rm(checkpointDir, { recursive: true, force: true });
+    }
+  };
+}
+
+function isSameFetchSettings(a, b) {
+  return a?.apiBaseUrl === b.apiBaseUrl && a?.apiPath === b.apiPath && a?.limit === b.limit;
+}
+
+export async function fetchAllLandingProducts({
+  fetchPage,
+  maxPages,
+  checkpoint = null,
+  concurrency = 1,
+  updatedSince = null
+}) {
+  const items = [];
+  const resumedPages = checkpoint ? await checkpoint.resumePages(updatedSince) : [];
+  let page = 1;
+  let totalPages = 1;
+  let totalItems = null;
+  let reachedUnchanged = false;
+
+  // Pages are requested ahead of the one being processed, but always consumed
+  // in order. Incremental syncs stay sequential because they usually stop early.
+  const lookahead = updatedSince ? 1 : concurrency;
+  const inFlight = new Map();
+  const requestPage = (pageNumber) => {
+    if (!inFlight.has(pageNumber)) {
+      const request = fetchPage(pageNumber);
+      // Failures are reported when the page is awaited in order.
+      request.catch(() => {});
+      inFlight.set(pageNumber, request);
+    }
+    return inFlight.get(pageNumber);
+  };
+
+  do {
+    const resumed = page <= resumedPages.length;
+    if (!resumed) {
+      const lastPage = maxPages ? Math.min(totalPages, maxPages) : totalPages;
+      for (let ahead = page + 1; ahead < page + lookahead && ahead <= lastPage; ahead += 1) {
+        requestPage(ahead);
+      }
+    }
+    const payload = resumed ? resumedPages[page - 1] : await requestPage(page);
+    inFlight.delete(page);
+    if (!resumed && checkpoint) {
+      await checkpoint.savePage(page, payload, updatedSince);
+    }
+
+    const chunk = normalizeProducts(payload);
+    items.push(...chunk);
+
+    const nextTotal = Number(payload?.pagination?.totalPages);
+    totalPages = Number.isInteger(nextTotal) && nextTotal > 0 ? nextTotal : page;
+
+    const nextTotalItems = Number(payload?.pagination?.totalItems);
+    totalItems = Number.isInteger(nextTotalItems) && nextTotalItems >= 0 ? nextTotalItems : null;
+
+    logInfo(`[landing-pages] API page ${page}/${totalPages} ${resumed ? "read from checkpoint" : "fetched"} (${chunk.length} products).`);
+
+    // The list is ordered by updatedAt desc, so the first product older than
+    // the previous sync means every remaining page is already in the snapshot.
+    if (updatedSince && chunk.some((product) => isUpdatedBefore(product, updatedSince))) {
+      reachedUnchanged = true;
+      break;
+    }
+
+    page += 1;
+  } while (page <= totalPages && (!maxPages || page <= maxPages));
+
+  if (updatedSince && !reachedUnchanged) {
+    logWarn("[landing-pages] Incremental sync did not reach unchanged products; every page was fetched.");
+  }
+
+  return { products: dedupeProducts(items), totalItems };
+}
+
+function isUpdatedBefore(product, cursor) {
+  const updatedAt = Date.parse(product?.updatedAt);
+  return Number.isFinite(updatedAt) && updatedAt < Date.parse(cursor);
+}
+
+export function buildLandingPageUrl(apiBaseUrl, apiPath, page, limit, filters = {}) {
+  const base = new URL(apiBaseUrl);
+  const normalizedPath = apiPath.startsWith("/") ? apiPath : `/${apiPath}`;
+  const requestUrl = new URL(normalizedPath, base);
+  requestUrl.searchParams.set("page", String(page));
+  requestUrl.searchParams.set("limit", String(limit));
+  for (const [key, value] of Object.entries(filters)) {
+    requestUrl.searchParams.set(key, value);
+  }
+  return requestUrl.toString();
+}
+
+export function buildLandingProductUrl(apiBaseUrl, apiPath, productId) {
+  const normalizedPath = apiPath.startsWith("/") ? apiPath : `/${apiPath}`;
+  return new URL(`${normalizedPath.replace(/\/$/, "")}/${encodeURIComponent(productId)}`, new URL(apiBaseUrl)).toString();
+}
+
+async function fetchJsonWithRetry({ url, apiToken, retries, retryDelayMs, timeoutMs, rateLimiter = null }) {
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    const isLastAttempt = attempt === retries;
+    let response;
+    let payload;
+
+    await rateLimiter?.acquire();
+
+    // The timeout covers the whole exchange, including reading the body.
+    try {
+      response = await fetch(url, {
+        headers: {
+          Authorization: `Bearer ${apiToken}`,
+          Accept: "application/json"
+        },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      logDebug(`[landing-pages] GET ${url} -> ${response.status}`);
+      rateLimiter?.observe(response.headers);
+      if (response.ok) {
+        payload = await response.json();
+      }
+    } catch (error) {
+      rateLimiter?.release();
+      if (!isNetworkError(error)) {
+        throw new Error(`API response from ${url} is not valid JSON: ${error.message}`);
+      }
+
+      const reason = describeNetworkError(error, timeoutMs);
+      if (isLastAttempt) {
+        throw new Error(`API request failed (${reason}) at ${url} after ${retries + 1} attempts.`);
+      }
+
+      const delay = getRetryDelayMs(null, attempt, retryDelayMs);
+      logWarn(`[landing-pages] Retry ${attempt + 1}/${retries} after ${delay}ms (${reason})`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (response.ok) {
+      rateLimiter?.release();
+      return payload;
+    }
+
+    const bodyText = await safeReadResponseText(response);
+    rateLimiter?.release();
+    const retryable = isRetryableStatus(response.status);
+
+    if (!retryable || isLastAttempt) {
+      const error = new Error(`API request failed (${response.status}) at ${url}. ${bodyText}`.trim());
+      error.status = response.status;
+      throw error;
+    }
+
+    const delay = getRetryDelayMs(response, attempt, retryDelayMs);
+    if (response.status === 429) {
+      // Hold back every other request too, not just this page.
+      rateLimiter?.pause(delay);
+    }
+    logWarn(`[landing-pages] Retry ${attempt + 1}/${retries} after ${delay}ms (${response.status})`);
+    await sleep(delay);
+  }
+
+  throw new Error(`Unexpected retry termination for ${url}`);
+}
+
+// Paces requests to a per-minute budget over a sliding window, and tightens it
+// with RateLimit-* / X-RateLimit-* headers when the API sends them.
+function createRateLimiter({ requestsPerMinute }) {
+  const startedAt = [];
+  let limit = requestsPerMinute;
+  let blockedUntil = 0;
+  let server = null;
+  let inFlight = 0;
+  let queue = Promise.resolve();
+
+  const waitFor = (now) => {
+    while (startedAt.length > 0 && now - startedAt[0] >= RATE_LIMIT_WINDOW_MS) {
+      startedAt.shift();
+    }
+    let waitMs = blockedUntil - now;
+    if (startedAt.length >= limit) {
+      waitMs = Math.max(waitMs, startedAt[startedAt.length - limit] + RATE_LIMIT_WINDOW_MS - now);
+    }
+    if (server && server.remaining <= 0 && server.resetAt > now) {
+      waitMs = Math.max(waitMs, server.resetAt - now);
+    }
+    return waitMs;
+  };
+
+  return {
+    // Callers are served one at a time, so concurrent pages never share a slot.
+    acquire() {
+      const turn = queue.then(async () => {
+        for (let waitMs = waitFor(Date.now()); waitMs > 0; waitMs = waitFor(Date.now())) {
+          if (waitMs >= 1000) {
+            logInfo(`[landing-pages] Rate limit budget used, waiting ${Math.ceil(waitMs / 1000)}s.`);
+          }
+          await sleep(waitMs);
+        }
+        startedAt.push(Date.now());
+        inFlight += 1;
+        if (server) {
+          server.remaining -= 1;
+        }
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    },
+
+    observe(headers) {
+      const headerLimit = readRateLimitHeader(headers, "limit");
+      const remaining = readRateLimitHeader(headers, "remaining");
+      const reset = readRateLimitHeader(headers, "reset");
+
+      if (headerLimit != null && headerLimit > 0 && headerLimit < limit) {
+        limit = headerLimit;
+        logInfo(`[landing-pages] API rate limit is ${headerLimit} requests per window; pacing to it.`);
+      }
+      if (remaining != null && reset != null) {
+        // Reset is either seconds until the window ends or a Unix timestamp.
+        // Requests still in flight are not counted by the API yet.
+        const resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+        server = { remaining: remaining - (inFlight - 1), resetAt };
+      }
+    },
+
+    release() {
+      inFlight = Math.max(0, inFlight - 1);
+    },
+
+    pause(ms) {
+      blockedUntil = Math.max(blockedUntil, Date.now() + ms);
+    }
+  };
+}
+
+function readRateLimitHeader(headers, name) {
+  const raw = headers.get(`ratelimit-${name}`) ?? headers.get(`x-ratelimit-${name}`);
+  if (raw == null || raw.trim() === "") {
+    return null;
+  }
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// fetch rejects with a TypeError for DNS failures, refused or reset
+// connections and bodies cut off mid-stream; timeouts surface as TimeoutError.
+function isNetworkError(error) {
+  return error instanceof TypeError || error?.name === "TimeoutError" || error?.name === "AbortError";
+}
+
+function describeNetworkError(error, timeoutMs) {
+  if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+    return `timed out after ${timeoutMs}ms`;
+  }
+  return error?.cause?.code ?? error?.cause?.message ?? error.message;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
+}
+
+function getRetryDelayMs(response, attempt, baseDelayMs) {
+  const retryAfter = response?.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds) && seconds > 0) {
+      return Math.ceil(seconds * 1000);
+    }
+  }
+
+  const exponential = baseDelayMs * (2 ** attempt);
+  const jitter = Math.floor(Math.random() * 300);
+  return exponential + jitter;
+}
+
+async function safeReadResponseText(response) {
+  try {
+    const text = await response.text();
+    return text.slice(0, 280).replace(/\s+/g, " ").trim();
+  } catch {
+    return "";
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
@@ -0,0 +1,163 @@
+// Checks a published site: manifest, sitemap.xml, canonical URLs, leftover
+// template tokens and links between catalog pages.
+
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+
+import { rootDir } from "./config.mjs";
+import { resolveOutputPaths } from "./output.mjs";
+import { resolveSettings } from "./project-config.mjs";
+import { readManifest } from "./state.mjs";
+import { findLeftoverTags } from "./template.mjs";
+
+const MAX_LISTED_ISSUES = 10;
+
+// Resolves to { siteDir, pagesChecked, issues }, each issue being
+// { type, file, detail } with a path relative to the site root.
+export async function auditSite(auditOptions = {}) {
+  const { settings } = await resolveSettings(auditOptions);
+  const outputPaths = resolveOutputPaths(path.resolve(rootDir, settings.outDir));
+  const { siteDir, outputDir, sitemapPath } = outputPaths;
+  const issues = [];
+  const report = (type, filePath, detail) => issues.push({ type, file: path.relative(siteDir, filePath), detail });
+
+  const pages = await listHtmlFiles(outputDir);
+  if (pages.length === 0) {
+    throw new Error(`No pages found in ${path.relative(rootDir, outputDir) || "."}. Run a build first.`);
+  }
+  const existing = new Set(pages);
+
+  const manifest = await readManifest(outputPaths);
+  if (!manifest) {
+    report("missing-manifest", outputPaths.manifestPath, "products/manifest.json does not exist");
+  }
+  const productFiles = new Set(Object.values(manifest?.products ?? {}).map((entry) => path.join(outputDir, entry.fileName)));
+  for (const [key, entry] of Object.entries(manifest?.products ?? {})) {
+    if (!existing.has(path.join(outputDir, entry.fileName))) {
+      report("missing-page", path.join(outputDir, entry.fileName), `listed in the manifest for ${entry.sku ?? key}`);
+    }
+  }
+
+  const sitemapXml = await readFile(sitemapPath, "utf8").catch(() => null);
+  if (sitemapXml == null) {
+    report("missing-sitemap", sitemapPath, "sitemap.xml does not exist");
+  } else {
+    const productPrefix = `${settings.siteUrl}/products/`;
+    const listed = new Set();
+    for (const [, loc] of sitemapXml.matchAll(/<loc>([^<]*)<\/loc>/g)) {
+      const url = decodeXmlText(loc);
+      if (!url.startsWith(productPrefix) || url === productPrefix) {
+        continue;
+      }
+      const filePath = path.join(outputDir, url.slice(productPrefix.length));
+      listed.add(filePath);
+      if (!existing.has(filePath)) {
+        report("sitemap-missing-page", sitemapPath, `${url} has no page`);
+      }
+    }
+    for (const filePath of productFiles) {
+      if (existing.has(filePath) && !listed.has(filePath)) {
+        report("not-in-sitemap", filePath, "product page is missing from sitemap.xml");
+      }
+    }
+  }
+
+  for (const filePath of pages) {
+    const html = await readFile(filePath, "utf8");
+
+    const tokens = findLeftoverTags(html);
+    if (tokens.length > 0) {
+      report("unreplaced-token", filePath, tokens.join(", "));
+    }
+
+    if (productFiles.has(filePath)) {
+      const canonical = html.match(/<link rel="canonical" href="([^"]*)"/)?.[1];
+      const expected = `${settings.siteUrl}/products/${path.basename(filePath)}`;
+      if (decodeHtmlAttribute(canonical ?? "") !== expected) {
+        report("canonical-mismatch", filePath, canonical ? `canonical is ${canonical}, expected ${expected}` : "no canonical link");
+      }
+      if (!/<title>[^<]+<\/title>/.test(html)) {
+        report("missing-title", filePath, "empty or missing <title>");
+      }
+    }
+
+    // Only links that stay inside products/ are checked; assets and the rest of
+    // the site may live outside --out-dir.
+    const hrefs = new Set([...html.matchAll(/href="([^"#?]+\.html)(?:[?#][^"]*)?"/g)].map(([, href]) => href));
+    for (const href of hrefs) {
+      if (/^[a-z]+:/i.test(href) || href.startsWith("/")) {
+        continue;
+      }
+      const target = path.resolve(path.dirname(filePath), decodeHtmlAttribute(href));
+      if (target.startsWith(`${outputDir}${path.sep}`) && !existing.has(target)) {
+        report("broken-link", filePath, `links to ${href}`);
+      }
+    }
+  }
+
+  return { siteDir, pagesChecked: pages.length, issues };
+}
+
+export function renderAuditSummary({ siteDir, pagesChecked, issues }) {
+  const label = path.relative(rootDir, siteDir) || ".";
+  if (issues.length === 0) {
+    return `[landing-pages] Audit of ${label}: ${pagesChecked} pages checked, no problems found.`;
+  }
+
+  const lines = [`[landing-pages] Audit of ${label}: ${pagesChecked} pages checked, ${issues.length} problems found.`];
+  const byType = new Map();
+  for (const issue of issues) {
+    byType.set(issue.type, [...(byType.get(issue.type) ?? []), issue]);
+  }
+  for (const [type, entries] of byType) {
+    lines.push(`  ${type} (${entries.length})`);
+    for (const entry of entries.slice(0, MAX_LISTED_ISSUES)) {
+      lines.push(`    - ${entry.file}: ${entry.detail}`);
+    }
+    if (entries.length > MAX_LISTED_ISSUES) {
+      lines.push(`    ... and ${entries.length - MAX_LISTED_ISSUES} more`);
+    }
+  }
+  return lines.join("\n");
+}
+
+async function listHtmlFiles(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listHtmlFiles(fullPath));
+    } else if (entry.name.endsWith(".html")) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+function decodeXmlText(value) {
+  return value
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&apos;", "'")
+    .replaceAll("&amp;", "&");
+}
+
+function decodeHtmlAttribute(value) {
+  return value
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#39;", "'")
+    .replaceAll("&amp;", "&");
+}
@@ -0,0 +1,59 @@
+// Build benchmark: renders a synthetic catalog into a temporary site and
+// reports how many pages per second the build managed.
+
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { buildSite } from "./build.mjs";
+import { DEFAULT_BENCH_PRODUCTS, DEFAULT_FIXTURE_SEED } from "./config.mjs";
+import { generateCatalog } from "./fixtures.mjs";
+import { resolveSettings } from "./project-config.mjs";
+
+// Builds a synthetic catalog (generateCatalog() with `products`, default
+// DEFAULT_BENCH_PRODUCTS, and `seed`) with the settings of the project config,
+// in a temporary directory that is removed afterwards. Resolves to { products,
+// pageCount, renderWorkers, maxOpenFiles, totalMs, renderMs, pagesPerSecond,
+// renderPagesPerSecond }.
+export async function benchmarkBuild(benchOptions = {}) {
+  const { products = DEFAULT_BENCH_PRODUCTS, seed = DEFAULT_FIXTURE_SEED, ...buildOptions } = benchOptions;
+  const { settings } = await resolveSettings(buildOptions);
+  const workDir = await mkdtemp(path.join(os.tmpdir(), "landing-bench-"));
+
+  try {
+    const inputPath = path.join(workDir, "products.json");
+    await writeFile(inputPath, JSON.stringify({ data: generateCatalog({ products, seed }) }), "utf8");
+
+    const started = performance.now();
+    const { pageCount, renderMs } = await buildSite({
+      ...buildOptions,
+      source: "file",
+      input: inputPath,
+      outDir: path.join(workDir, "site"),
+      reportDir: path.join(workDir, "reports"),
+      plugins: []
+    });
+    const totalMs = Math.round(performance.now() - started);
+
+    return {
+      products,
+      pageCount,
+      renderWorkers: settings.renderWorkers,
+      maxOpenFiles: settings.maxOpenFiles,
+      totalMs,
+      renderMs,
+      pagesPerSecond: Math.round(pageCount / (totalMs / 1000)),
+      renderPagesPerSecond: Math.round(pageCount / (Math.max(renderMs, 1) / 1000))
+    };
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+export function renderBenchmarkSummary(result) {
+  return [
+    `[landing-pages] Built ${result.pageCount} of ${result.products} synthetic products with ${result.renderWorkers} render ${result.renderWorkers === 1 ? "worker" : "workers"} and up to ${result.maxOpenFiles} open files.`,
+    `[landing-pages] Whole build: ${(result.totalMs / 1000).toFixed(1)} s, ${result.pagesPerSecond} pages/s.`,
+    `[landing-pages] Product pages (render and write): ${(result.renderMs / 1000).toFixed(1)} s, ${result.renderPagesPerSecond} pages/s.`
+  ].join("\n");
+}
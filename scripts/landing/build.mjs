@@ -0,0 +1,553 @@
+// Full and targeted site builds: loads products, renders and publishes them.
+
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { resolveCheckpointDir } from "./api.mjs";
+import { productSchemaPath, rootDir } from "./config.mjs";
+import { logInfo, logWarn } from "./log.mjs";
+import { slugify } from "./normalize.mjs";
+import {
+  assertProductCountWithinLimit,
+  copyHeldPages,
+  countPublishedProductPages,
+  generateCategoryPages,
+  generateRetiredUrlPages,
+  resolveOutputPaths,
+  swapStagedOutput,
+  writeFileAtomically
+} from "./output.mjs";
+import {
+  assertQualityWithinLimit,
+  buildQualityReport,
+  quarantineEntry,
+  renderQualitySummary,
+  renderQuarantineSummary,
+  writeQualityReport,
+  writeQuarantine
+} from "./quality.mjs";
+import {
+  categoryPageValues,
+  discontinuedPageValues,
+  htmlSitemapValues,
+  loadPageTemplates,
+  mapProductToTemplateData,
+  PLUGIN_SLOTS,
+  productIndexValues,
+  redirectPageValues,
+  renderBrandValues,
+  renderHtmlSitemap,
+  productPageValues,
+  renderProductIndexPage,
+  renderSearchIndex,
+  selectProductTemplate
+} from "./render.mjs";
+import { createPluginRunner, loadPlugins } from "./plugins.mjs";
+import { resolveSettings } from "./project-config.mjs";
+import { renderPages } from "./render-pool.mjs";
+import { renderRobotsTxt, renderSitemapXml } from "./seo.mjs";
+import {
+  describeSource,
+  loadProducts,
+  loadTargetedProducts,
+  resolveSnapshotPath,
+  resolveSource,
+  writeSnapshot
+} from "./sources.mjs";
+import {
+  hashPageTemplate,
+  productKey,
+  readManifest,
+  readSlugRegistry,
+  reconcileSlugRegistry,
+  renderChangeSummary,
+  reservedFileNames,
+  updateManifest,
+  writeSlugRegistry
+} from "./state.mjs";
+import { lintTemplate } from "./template.mjs";
+
+// Builds the landing pages described by buildOptions (the camelCase form of the
+// CLI flags, e.g. { source: "api", siteUrl, outDir, sync: "incremental" }),
+// completed from the environment and discor.config.json.
+// Resolves to { pageCount, quarantine, renderMs }, where renderMs is the time
+// spent rendering and writing product pages; quarantined products do not reject.
+export async function buildSite(buildOptions = {}) {
+  const { settings: options, origins } = await resolveSettings(buildOptions);
+  const outputPaths = resolveOutputPaths(path.resolve(rootDir, options.outDir));
+
+  const source = resolveSource(options);
+  const { siteUrl, imageBaseUrl, brand } = options;
+
+  if (source === "api" && options.output) {
+    throw new Error("--output is only valid for file source mode.");
+  }
+
+  if (options.replay && source !== "api") {
+    throw new Error("--replay rebuilds an API run and cannot be combined with --source file.");
+  }
+
+  if (options.replay && options.record) {
+    throw new Error("--record and --replay cannot be used together.");
+  }
+
+  if (options.resume && (source !== "api" || options.replay || options.record)) {
+    throw new Error("--resume continues an interrupted API run and cannot be combined with --replay, --record or a local source.");
+  }
+
+  const targeted = Boolean(options.skus || options.productIds);
+  if (targeted && (source !== "api" || options.output || options.replay || options.record || options.resume)) {
+    throw new Error("--sku and --product-id patch the last API build and cannot be combined with --output, --replay, --record, --resume or a local source.");
+  }
+
+  // A local build without --out-dir renders only its product pages into
+  // products/, as it always did. The full site from local files goes to the
+  // --out-dir it names, so a fixture never replaces the published catalog.
+  const productPagesOnly = source !== "api" && origins.outDir === "default";
+
+  if (options.output) {
+    const base = path.basename(options.output);
+    if (base !== options.output || options.output.includes("..") || path.isAbsolute(options.output)) {
+      throw new Error("--output must be a plain filename with no path separators or traversal sequences.");
+    }
+  }
+
+  const plugins = createPluginRunner(await loadPlugins(options.plugins), {
+    siteUrl,
+    imageBaseUrl,
+    source,
+    outDir: outputPaths.siteDir
+  });
+
+  const templates = await loadPageTemplates(options.templateRules);
+  checkListingTemplates(templates, siteUrl, brand);
+  // A product that cannot be imported, mapped or rendered is quarantined instead
+  // of stopping the build for the rest of the catalog.
+  const quarantine = [];
+  const snapshotState = {};
+  const targetUpdate = targeted ? await loadTargetedProducts(options) : null;
+  const loadedProducts = targetUpdate ? targetUpdate.products : await loadProducts(options, source, { quarantine, snapshotState });
+  const products = await plugins.afterLoad(loadedProducts);
+
+  if (products.length === 0) {
+    throw new Error("No products found to generate pages.");
+  }
+
+  if (options.output && products.length !== 1) {
+    throw new Error("--output can only be used when exactly one product is loaded.");
+  }
+
+  const productSchema = JSON.parse(await readFile(productSchemaPath, "utf8"));
+  const qualityReport = buildQualityReport(products, productSchema, describeSource(source, options), plugins.validationRules());
+  const reportDir = path.resolve(rootDir, options.reportDir);
+  await writeQualityReport(qualityReport, reportDir, options.brand);
+  logInfo(renderQualitySummary(qualityReport, reportDir));
+
+  assertQualityWithinLimit(qualityReport, options.maxInvalidPercent, reportDir);
+
+  const { outputDir, stagingDir, sitemapPath, robotsPath } = outputPaths;
+
+  // Every build renders the whole site unless --output asks for a single page
+  // or a local build has no --out-dir.
+  const fullSite = !options.output && !productPagesOnly;
+
+  // Full-site builds render into a staging directory that replaces products/ only
+  // once everything was written, so a failed run never publishes a partial catalog.
+  // Targeted runs patch a handful of files in place instead.
+  const pagesDir = fullSite && !targeted ? stagingDir : outputDir;
+  if (!targeted) {
+    await rm(stagingDir, { recursive: true, force: true });
+  }
+  await mkdir(pagesDir, { recursive: true });
+
+  // Published file names stay reserved, even for inactive products, so a URL
+  // is never reused for a different product.
+  const slugRegistry = fullSite ? await readSlugRegistry(outputPaths) : null;
+  const usedFileNames = new Set(slugRegistry ? reservedFileNames(slugRegistry) : []);
+  const generatedPages = [];
+
+  const mappedPages = [];
+  for (const product of products) {
+    try {
+      const pageData = mapProductToTemplateData(product, {
+        baseUrl: siteUrl,
+        imageBaseUrl,
+        outputOverride: options.output,
+        usedFileNames,
+        slugRegistry,
+        brand
+      });
+      mappedPages.push(await plugins.afterMap(pageData, product));
+    } catch (error) {
+      quarantine.push(quarantineEntry(product, "map", error));
+    }
+  }
+
+  // A targeted run only renders the pages it rewrites: the requested products and
+  // the rest of their categories. Every other product stays in the listings
+  // with its published page.
+  const previousManifest = fullSite ? await readManifest(outputPaths) : null;
+  const affectedCategories = targetUpdate ? findAffectedCategories(targetUpdate, previousManifest, mappedPages) : null;
+  const pagesToRender = affectedCategories
+    ? mappedPages.filter((pageData) => isTargetedPage(pageData, targetUpdate, affectedCategories))
+    : mappedPages;
+
+  // Full and --output builds write each page as soon as it renders; targeted
+  // runs compare the pages with the published ones first.
+  const renderStarted = performance.now();
+  const renderedPages = await renderProductPages(templates, pagesToRender, quarantine, plugins, brand, {
+    pagesDir: targeted ? null : pagesDir,
+    renderWorkers: options.renderWorkers,
+    maxOpenFiles: options.maxOpenFiles
+  });
+  const renderMs = Math.round(performance.now() - renderStarted);
+  const renderedPageData = new Set(renderedPages.map(({ pageData }) => pageData));
+  let pageDataList = [...renderedPageData];
+  if (targetUpdate) {
+    const skipped = new Set(pagesToRender.filter((pageData) => !renderedPageData.has(pageData)));
+    pageDataList = mappedPages.filter((pageData) => !skipped.has(pageData));
+  }
+
+  await writeQuarantine(quarantine, reportDir, describeSource(source, options));
+
+  if (pageDataList.length === 0) {
+    throw new Error(`All ${products.length} products were quarantined. See ${path.relative(rootDir, path.join(reportDir, "quarantine.json"))}.`);
+  }
+
+  let manifest = null;
+  let retiredUrls = null;
+  let heldKeys = new Set();
+  if (fullSite) {
+    // Quarantined products that were published before keep their last good page.
+    heldKeys = new Set(quarantine.map((entry) => entry.key).filter((key) => key && previousManifest?.products[key]));
+    const templateHashOf = createTemplateHasher(templates, brand, previousManifest, targetUpdate ? renderedPageData : null);
+    manifest = updateManifest(previousManifest, pageDataList, new Date().toISOString().slice(0, 10), heldKeys, templateHashOf);
+    retiredUrls = reconcileSlugRegistry(slugRegistry, previousManifest, pageDataList, manifest.lastBuild.date, heldKeys);
+  }
+
+  if (targetUpdate) {
+    await patchPublishedSite({
+      targetUpdate,
+      renderedPages,
+      pageDataList,
+      affectedCategories,
+      manifest,
+      slugRegistry,
+      siteUrl,
+      brand,
+      templates,
+      outputPaths,
+      plugins,
+      args: options
+    });
+    await plugins.afterBuild({ pages: pageDataList.map((pageData) => pageData.pageMeta), quarantine });
+    await plugins.flushEmittedFiles();
+    if (quarantine.length > 0) {
+      logWarn(renderQuarantineSummary(quarantine, heldKeys, reportDir));
+    }
+    return { pageCount: pageDataList.length, quarantine, renderMs };
+  }
+
+  for (const { pageData, html } of renderedPages) {
+    const filePath = path.join(pagesDir, pageData.fileName);
+    if (plugins.has("afterPageWrite")) {
+      await plugins.afterPageWrite({ fileName: pageData.fileName, filePath, html, pageMeta: pageData.pageMeta });
+    }
+
+    generatedPages.push(pageData.pageMeta);
+    logInfo(`Generated ${path.relative(rootDir, filePath)}`);
+  }
+
+  if (heldKeys.size > 0) {
+    await copyHeldPages(slugRegistry, heldKeys, outputDir, pagesDir);
+  }
+
+  if (fullSite) {
+    const productIndexHtml = renderProductIndexPage(templates.catalog, generatedPages, siteUrl, brand);
+    const productIndexPath = path.join(pagesDir, "index.html");
+    await writeFile(productIndexPath, productIndexHtml, "utf8");
+    logInfo(`Generated ${path.relative(rootDir, productIndexPath)}`);
+
+    const sitemapHtml = renderHtmlSitemap(templates.sitemap, generatedPages, siteUrl, brand);
+    const sitemapHtmlPath = path.join(pagesDir, "sitemap.html");
+    await writeFile(sitemapHtmlPath, sitemapHtml, "utf8");
+    logInfo(`Generated ${path.relative(rootDir, sitemapHtmlPath)}`);
+
+    await generateCategoryPages(templates.category, generatedPages, siteUrl, pagesDir, null, brand);
+
+    await generateRetiredUrlPages(templates, slugRegistry, generatedPages, siteUrl, pagesDir, brand);
+
+    const searchIndexJson = renderSearchIndex(generatedPages);
+    const searchIndexPath = path.join(pagesDir, "search-index.json");
+    await writeFile(searchIndexPath, searchIndexJson, "utf8");
+    logInfo(`Generated ${path.relative(rootDir, searchIndexPath)}`);
+
+    const stagedManifestPath = path.join(pagesDir, path.basename(outputPaths.manifestPath));
+    await writeFile(stagedManifestPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+    logInfo(`Generated ${path.relative(rootDir, stagedManifestPath)}`);
+
+    const stagedSlugRegistryPath = path.join(pagesDir, path.basename(outputPaths.slugRegistryPath));
+    await writeSlugRegistry(slugRegistry, stagedSlugRegistryPath);
+    logInfo(`Generated ${path.relative(rootDir, stagedSlugRegistryPath)} (${retiredUrls.pinned} new slugs pinned)`);
+
+    const previousCount = previousManifest?.productCount ?? await countPublishedProductPages(outputDir);
+    assertProductCountWithinLimit(outputPaths, previousCount, generatedPages.length, options.maxDropPercent);
+
+    await swapStagedOutput(outputPaths, previousManifest ? new Set(reservedFileNames(slugRegistry)) : null);
+    logInfo(`[landing-pages] Published ${path.relative(rootDir, stagingDir)} as ${path.relative(rootDir, outputDir)}.`);
+
+    const sitemapXml = renderSitemapXml(generatedPages, siteUrl);
+    await writeFileAtomically(sitemapPath, sitemapXml);
+    logInfo(`Generated ${path.relative(rootDir, sitemapPath)}`);
+
+    const robotsTxt = renderRobotsTxt(siteUrl);
+    await writeFileAtomically(robotsPath, robotsTxt);
+    logInfo(`Generated ${path.relative(rootDir, robotsPath)}`);
+
+    logInfo(renderChangeSummary(manifest.lastBuild));
+
+    // The snapshot mirrors the API, so builds from local files never touch it.
+    if (source === "api") {
+      const snapshotFile = resolveSnapshotPath(options);
+      await writeSnapshot(snapshotFile, loadedProducts, { fullSyncAt: snapshotState.fullSyncAt });
+      logInfo(`Generated ${path.relative(rootDir, snapshotFile)}`);
+    }
+
+    // Only a published build makes the checkpoint obsolete; any earlier
+    // failure leaves it in place for --resume.
+    if (source === "api" && !options.replay) {
+      await rm(resolveCheckpointDir(options), { recursive: true, force: true });
+    }
+
+    logInfo(`[landing-pages] Generated ${generatedPages.length} product pages from ${describeSource(source, options)}.`);
+  }
+
+  // Extra files from plugins are written last, once the pages are published.
+  await plugins.afterBuild({ pages: generatedPages, quarantine });
+  await plugins.flushEmittedFiles();
+
+  if (quarantine.length > 0) {
+    logWarn(renderQuarantineSummary(quarantine, heldKeys, reportDir));
+  }
+
+  return { pageCount: generatedPages.length, quarantine, renderMs };
+}
+
+// Checks the products of a source against the schema and the plugin rules and
+// writes the quality report, without rendering or publishing anything.
+export async function validateProducts(buildOptions = {}) {
+  const { settings: options } = await resolveSettings(buildOptions);
+  const source = resolveSource(options);
+  const plugins = createPluginRunner(await loadPlugins(options.plugins), {
+    siteUrl: options.siteUrl,
+    imageBaseUrl: options.imageBaseUrl,
+    source,
+    outDir: path.resolve(rootDir, options.outDir)
+  });
+
+  const products = await plugins.afterLoad(await loadProducts(options, source));
+  const productSchema = JSON.parse(await readFile(productSchemaPath, "utf8"));
+  const qualityReport = buildQualityReport(products, productSchema, describeSource(source, options), plugins.validationRules());
+  const reportDir = path.resolve(rootDir, options.reportDir);
+  await writeQualityReport(qualityReport, reportDir, options.brand);
+  logInfo(renderQualitySummary(qualityReport, reportDir));
+  return qualityReport;
+}
+
+// Renders the product pages and, with `pagesDir`, writes them there. The HTML
+// is only kept when nothing is written or a plugin wants it in afterPageWrite.
+async function renderProductPages(templates, mappedPages, quarantine, plugins, brand, { pagesDir = null, renderWorkers, maxOpenFiles }) {
+  const brandValues = renderBrandValues(brand);
+  const extraValuesByPage = new Map();
+  for (const pageData of mappedPages) {
+    try {
+      extraValuesByPage.set(pageData, await plugins.beforeRender({ ...PLUGIN_SLOTS, ...brandValues, ...pageData.templateValues }, pageData));
+    } catch (error) {
+      quarantine.push(quarantineEntry(pageData.pageMeta, "render", error));
+    }
+  }
+  let candidates = mappedPages.filter((pageData) => extraValuesByPage.has(pageData));
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const templateByPage = new Map(candidates.map((pageData) => [pageData, selectProductTemplate(templates, pageData)]));
+
+  // Each template is checked against every value one of its pages provides,
+  // plugin values included.
+  const valueNamesByTemplate = new Map();
+  for (const pageData of candidates) {
+    const template = templateByPage.get(pageData);
+    if (!valueNamesByTemplate.has(template)) {
+      valueNamesByTemplate.set(template, new Set(["RELATED_PRODUCTS"]));
+    }
+    for (const name of [...Object.keys(pageData.templateValues), ...Object.keys(extraValuesByPage.get(pageData))]) {
+      valueNamesByTemplate.get(template).add(name);
+    }
+  }
+  for (const [template, valueNames] of valueNamesByTemplate) {
+    checkTemplate(template, [...valueNames], brand);
+  }
+  if (templates.rules.length > 0) {
+    const counts = [...valueNamesByTemplate.keys()].map((template) =>
+      `${template.name} (${candidates.filter((pageData) => templateByPage.get(pageData) === template).length})`
+    );
+    logInfo(`[landing-pages] Product templates: ${counts.join(", ")}.`);
+  }
+
+  // Related links may only point at pages that actually render, so after a
+  // failure the rest of its category renders again without it.
+  const usedTemplates = [...valueNamesByTemplate.keys()];
+  const htmlByPage = new Map();
+  let pending = candidates;
+  while (pending.length > 0) {
+    const categoryMap = {};
+    for (const pd of candidates) {
+      const cat = pd.pageMeta.category || "General";
+      if (!categoryMap[cat]) categoryMap[cat] = [];
+      categoryMap[cat].push(pd);
+    }
+
+    const jobs = pending.map((pageData) => ({
+      template: templateByPage.get(pageData).name,
+      values: productPageValues(pageData, categoryMap, extraValuesByPage.get(pageData)),
+      filePath: pagesDir ? path.join(pagesDir, pageData.fileName) : null,
+      keepHtml: !pagesDir || plugins.has("afterPageWrite")
+    }));
+    const results = await renderPages(usedTemplates, jobs, { workers: renderWorkers, maxOpenFiles });
+
+    const failed = new Set();
+    results.forEach((result, index) => {
+      const pageData = pending[index];
+      if (result.writeError) {
+        throw new Error(`Could not write ${pageData.fileName}: ${result.writeError}`);
+      }
+      if (result.renderError) {
+        failed.add(pageData);
+        quarantine.push(quarantineEntry(pageData.pageMeta, "render", result.renderError));
+      } else {
+        htmlByPage.set(pageData, result.html);
+      }
+    });
+
+    const failedCategories = new Set([...failed].map((pageData) => pageData.pageMeta.category || "General"));
+    candidates = candidates.filter((pageData) => !failed.has(pageData));
+    pending = candidates.filter((pageData) => failedCategories.has(pageData.pageMeta.category || "General"));
+  }
+  return candidates.map((pageData) => ({ pageData, html: htmlByPage.get(pageData) }));
+}
+
+// The listing, redirect and discontinued templates are checked before any product is
+// loaded: the names of their values do not depend on the products.
+function checkListingTemplates(templates, siteUrl, brand) {
+  checkTemplate(templates.catalog, Object.keys(productIndexValues([], siteUrl, brand)), brand);
+  checkTemplate(templates.category, Object.keys(categoryPageValues([], "", siteUrl, brand)), brand);
+  checkTemplate(templates.sitemap, Object.keys(htmlSitemapValues([], siteUrl, brand)), brand);
+  checkTemplate(templates.redirect, Object.keys(redirectPageValues({ fileName: "", title: "" }, siteUrl, brand)), brand);
+  checkTemplate(templates.discontinued, Object.keys(discontinuedPageValues({}, [], siteUrl, brand)), brand);
+}
+
+// Stops the build when a template uses a value no page provides, and warns about
+// page values the template never uses. Brand values and plugin slots are
+// site-wide, so a template may leave them out.
+function checkTemplate(template, valueNames, brand) {
+  const shared = Object.keys({ ...PLUGIN_SLOTS, ...renderBrandValues(brand) });
+  const { errors, warnings } = lintTemplate(template, {
+    values: valueNames.filter((name) => !shared.includes(name)),
+    shared
+  });
+  for (const warning of warnings) {
+    logWarn(`[landing-pages] ${warning}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Template check failed for ${template.name}:\n  ${errors.join("\n  ")}`);
+  }
+}
+
+// The manifest's template hash of a page. Pages a targeted run does not render
+// keep the hash they were published with, so a template edited since then still
+// counts as a change on the next full build.
+function createTemplateHasher(templates, brand, previousManifest, renderedPages = null) {
+  const hashes = new Map();
+  return (pageData) => {
+    const published = previousManifest?.products[productKey(pageData.pageMeta)]?.templateHash;
+    if (renderedPages && !renderedPages.has(pageData) && published) {
+      return published;
+    }
+    const template = selectProductTemplate(templates, pageData);
+    if (!hashes.has(template)) {
+      hashes.set(template, hashPageTemplate(template, brand));
+    }
+    return hashes.get(template);
+  };
+}
+
+// The categories a targeted run touches: those its products are in now and
+// those they were in at the last build.
+function findAffectedCategories(targetUpdate, previousManifest, mappedPages) {
+  const targetKeys = new Set([...targetUpdate.updatedKeys, ...targetUpdate.removedKeys]);
+  const categories = new Set();
+  for (const key of targetKeys) {
+    const previousCategory = previousManifest?.products[key]?.category;
+    if (previousCategory) {
+      categories.add(previousCategory);
+    }
+  }
+  for (const pageData of mappedPages) {
+    if (pageData.pageMeta.category && targetKeys.has(productKey(pageData.pageMeta))) {
+      categories.add(pageData.pageMeta.category);
+    }
+  }
+  return categories;
+}
+
+function isTargetedPage(pageData, targetUpdate, affectedCategories) {
+  return targetUpdate.updatedKeys.has(productKey(pageData.pageMeta)) || affectedCategories.has(pageData.pageMeta.category);
+}
+
+// Writes the pages a targeted run touches: the requested products, the other
+// products of their categories (whose related cards may show them), the
+// category pages, the catalog-wide listings and the build state files.
+// `renderedPages` are the pages of those products, `pageDataList` every product
+// the listings show.
+async function patchPublishedSite({ targetUpdate, renderedPages, pageDataList, affectedCategories, manifest, slugRegistry, siteUrl, brand, templates, outputPaths, plugins, args }) {
+  const { outputDir, sitemapPath, manifestPath, slugRegistryPath } = outputPaths;
+  const generatedPages = pageDataList.map((pageData) => pageData.pageMeta);
+  const targetKeys = new Set([...targetUpdate.updatedKeys, ...targetUpdate.removedKeys]);
+
+  let written = 0;
+  for (const { pageData, html } of renderedPages) {
+    const filePath = path.join(outputDir, pageData.fileName);
+    const current = await readFile(filePath, "utf8").catch(() => null);
+    if (current === html) {
+      continue;
+    }
+    await writeFile(filePath, html, "utf8");
+    await plugins.afterPageWrite({ fileName: pageData.fileName, filePath, html, pageMeta: pageData.pageMeta });
+    written += 1;
+    logInfo(`Generated ${path.relative(rootDir, filePath)}`);
+  }
+
+  await generateCategoryPages(templates.category, generatedPages, siteUrl, outputDir, affectedCategories, brand);
+  for (const category of affectedCategories) {
+    if (category !== "Sin categoría" && !generatedPages.some((page) => page.category === category)) {
+      await rm(path.join(outputDir, "category", `${slugify(category)}.html`), { force: true });
+    }
+  }
+
+  await generateRetiredUrlPages(templates, slugRegistry, generatedPages, siteUrl, outputDir, brand);
+
+  await writeFileAtomically(path.join(outputDir, "index.html"), renderProductIndexPage(templates.catalog, generatedPages, siteUrl, brand));
+  await writeFileAtomically(path.join(outputDir, "sitemap.html"), renderHtmlSitemap(templates.sitemap, generatedPages, siteUrl, brand));
+  await writeFileAtomically(path.join(outputDir, "search-index.json"), renderSearchIndex(generatedPages));
+  await writeFileAtomically(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  await writeFileAtomically(slugRegistryPath, `${JSON.stringify(slugRegistry, null, 2)}\n`);
+  await writeFileAtomically(sitemapPath, renderSitemapXml(generatedPages, siteUrl));
+  logInfo(`Updated ${path.relative(rootDir, path.join(outputDir, "index.html"))}, sitemap.html, search-index.json, manifest, slug registry and ${path.relative(rootDir, sitemapPath)}`);
+
+  await writeSnapshot(targetUpdate.snapshotFile, targetUpdate.products, { keepCursor: targetUpdate.cursor, fullSyncAt: targetUpdate.fullSyncAt });
+  logInfo(`Generated ${path.relative(rootDir, targetUpdate.snapshotFile)}`);
+
+  logInfo(renderChangeSummary(manifest.lastBuild));
+  logInfo(`[landing-pages] Patched ${written} product pages for ${targetKeys.size} requested products from ${describeSource("api", args)}.`);
+}
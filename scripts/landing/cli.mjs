@@ -0,0 +1,294 @@
+// Command line of scripts/generate-landing-pages.mjs: commands, flags and the
+// generated help text.
+
+import {
+  DEFAULT_BENCH_PRODUCTS,
+  DEFAULT_FIXTURE_PRODUCTS,
+  DEFAULT_FIXTURE_SEED,
+  DEFAULT_FULL_SYNC_AFTER_HOURS,
+  DEFAULT_MAX_OPEN_FILES,
+  EXIT_PROBLEMS_FOUND,
+  EXIT_QUARANTINED,
+  EXIT_USAGE,
+  MAX_CONCURRENCY,
+  MAX_RENDER_WORKERS
+} from "./config.mjs";
+import {
+  parseConcurrency,
+  parseList,
+  parseMaxDropPercent,
+  parseNonNegativeInteger,
+  parsePercent,
+  parsePositiveInteger,
+  parseRenderWorkers,
+  parseSyncMode
+} from "./options.mjs";
+
+export const PROGRAM = "node scripts/generate-landing-pages.mjs";
+
+// Bad command lines. The CLI prints the message with a pointer to --help and
+// exits with EXIT_USAGE.
+export class UsageError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = "UsageError";
+    this.command = command;
+  }
+}
+
+const parseSource = (value) => {
+  if (!["file", "api", "csv", "xlsx"].includes(value)) {
+    throw new Error("--source must be one of 'file', 'api', 'csv' or 'xlsx'.");
+  }
+  return value;
+};
+
+// Every flag the CLI knows. `value` names the argument in the help text and is
+// absent on boolean flags; `repeatable` flags collect every occurrence (and
+// comma-separated lists) into one array under `name`; `parse` checks the value.
+const FLAGS = {
+  config: { value: "file", description: "Project config file (default: discor.config.json)." },
+  quiet: { description: "Only print warnings and errors." },
+  verbose: { description: "Also print debug lines, such as every API request." },
+  help: { alias: "h", description: "Show help for the command." },
+
+  source: { value: "file|api|csv|xlsx", parse: parseSource, description: "Where products come from (default: file, or api with --api-base-url/--replay)." },
+  input: { value: "path", description: "JSON file or directory, or the CSV/XLSX file to read." },
+  apiBaseUrl: { value: "url", description: "Landing API base URL (env LANDING_PAGE_API_BASE_URL)." },
+  apiPath: { value: "path", description: "Landing API list path." },
+  apiToken: { value: "token", description: "Landing API token (prefer env LANDING_PAGE_TOKEN)." },
+  limit: { value: "n", parse: (value) => parsePositiveInteger(value, "limit"), description: "Products per API page." },
+  maxPages: { value: "n", parse: (value) => parsePositiveInteger(value, "max-pages"), description: "Stop after this many API pages." },
+  retries: { value: "n", parse: (value) => parseNonNegativeInteger(value, "retries"), description: "Retries per failed API request." },
+  retryDelayMs: { value: "ms", parse: (value) => parsePositiveInteger(value, "retry-delay-ms"), description: "Base delay between retries." },
+  timeoutMs: { value: "ms", parse: (value) => parsePositiveInteger(value, "timeout-ms"), description: "Timeout per API request." },
+  rateLimit: { value: "n", parse: (value) => parsePositiveInteger(value, "rate-limit"), description: "API requests per minute." },
+  concurrency: { value: "n", parse: parseConcurrency, description: `Parallel API page requests (1-${MAX_CONCURRENCY}).` },
+  sync: { value: "full|incremental", parse: parseSyncMode, description: "API sync mode." },
+  fullSyncAfterHours: { value: "hours", parse: (value) => parsePositiveInteger(value, "full-sync-after-hours"), description: `Incremental syncs run in full once the last full sync is this old (default: ${DEFAULT_FULL_SYNC_AFTER_HOURS}).` },
+  snapshot: { value: "file", description: "API snapshot used by incremental and targeted runs." },
+  checkpoint: { value: "dir", description: "Checkpoint directory of live API runs." },
+  resume: { description: "Continue an interrupted API run from its checkpoint." },
+  record: { value: "dir", description: "Save every API response to a recording." },
+  replay: { value: "dir", description: "Read API responses from a recording instead of the API." },
+  plugins: { value: "dir", description: "Build plugins directory (default: plugins/)." },
+
+  siteUrl: { value: "url", description: "Public site URL used in canonical links and sitemap.xml." },
+  imageBaseUrl: { value: "url", description: "Base URL of relative product image paths." },
+  outDir: { value: "dir", description: "Site root to write to or read from (default: repository root; local builds only render product pages without it)." },
+  reportDir: { value: "dir", description: "Where the quality report and quarantine list go." },
+  renderWorkers: { value: "n", parse: parseRenderWorkers, description: `Worker threads rendering product pages (1-${MAX_RENDER_WORKERS}, default: one per core, up to 8).` },
+  maxOpenFiles: { value: "n", parse: (value) => parsePositiveInteger(value, "max-open-files"), description: `Product pages written at the same time (default: ${DEFAULT_MAX_OPEN_FILES}).` },
+
+  output: { value: "file", description: "Render one product page with this file name (file source only)." },
+  sku: { value: "sku", repeatable: true, name: "skus", description: "Only regenerate this product (repeatable, comma-separated)." },
+  productId: { value: "id", repeatable: true, name: "productIds", description: "Only regenerate the product with this id (repeatable)." },
+  maxDropPercent: { value: "percent", parse: parseMaxDropPercent, description: "Refuse to publish above this product-count drop." },
+  maxInvalidPercent: { value: "percent", parse: (value) => parsePercent(value, "max-invalid-percent"), description: "Refuse to publish above this share of invalid products." },
+  printConfig: { description: "Print the resolved settings and exit." },
+  renameSlug: { value: "sku|id", description: "Move a product to the slug given with --slug." },
+  slug: { value: "slug", description: "New slug for --rename-slug." },
+
+  strict: { description: "Fail on placeholder warnings too, not only schema errors." },
+  json: { description: "Print the result as JSON." },
+  format: { value: "json|csv|xlsx", description: "Output format (default: json); xlsx needs --output-file." },
+  outputFile: { value: "file", description: "Write the products to a file instead of stdout." },
+  port: { value: "port", parse: (value) => parsePositiveInteger(value, "port"), description: "Port to listen on (default: 4030)." },
+  dryRun: { description: "List what would be removed without removing it." },
+  products: { value: "n", parse: (value) => parsePositiveInteger(value, "products"), description: `Size of the synthetic catalog (default: ${DEFAULT_FIXTURE_PRODUCTS}, bench ${DEFAULT_BENCH_PRODUCTS}).` },
+  seed: { value: "n", parse: (value) => parseNonNegativeInteger(value, "seed"), description: `Seed of the synthetic catalog; the same seed gives the same products (default: ${DEFAULT_FIXTURE_SEED}).` }
+};
+
+const COMMON_FLAGS = ["config", "quiet", "verbose", "help"];
+const SOURCE_FLAGS = [
+  "source", "input", "apiBaseUrl", "apiPath", "apiToken", "limit", "maxPages", "retries",
+  "retryDelayMs", "timeoutMs", "rateLimit", "concurrency", "sync", "fullSyncAfterHours", "snapshot",
+  "checkpoint", "resume", "record", "replay"
+];
+const SITE_FLAGS = ["siteUrl", "imageBaseUrl", "outDir", "reportDir"];
+const RENDER_FLAGS = ["renderWorkers", "maxOpenFiles"];
+
+const COMMANDS = {
+  build: {
+    summary: "Build the product pages, catalog and sitemaps (default command).",
+    flags: [
+      ...SOURCE_FLAGS, "plugins", ...SITE_FLAGS, ...RENDER_FLAGS, "output", "sku", "productId", "maxDropPercent",
+      "maxInvalidPercent", "printConfig", "renameSlug", "slug", ...COMMON_FLAGS
+    ]
+  },
+  validate: {
+    summary: "Check the products of a source and write the quality report, without building.",
+    flags: [...SOURCE_FLAGS, "plugins", "reportDir", "outDir", "strict", ...COMMON_FLAGS]
+  },
+  audit: {
+    summary: "Check a built site: manifest, sitemap.xml, canonical URLs, tokens and links.",
+    flags: ["outDir", "siteUrl", "json", ...COMMON_FLAGS]
+  },
+  export: {
+    summary: "Write the products of a source as JSON or as an importable CSV.",
+    flags: [...SOURCE_FLAGS, "format", "outputFile", ...COMMON_FLAGS]
+  },
+  serve: {
+    summary: "Serve a built site on localhost for previewing.",
+    flags: ["outDir", "port", ...COMMON_FLAGS]
+  },
+  clean: {
+    summary: "Remove staging directories, checkpoints and reports left by builds.",
+    flags: ["outDir", "checkpoint", "reportDir", "dryRun", ...COMMON_FLAGS]
+  },
+  bench: {
+    summary: "Build a synthetic catalog in a temporary directory and report pages per second.",
+    flags: ["products", "seed", ...RENDER_FLAGS, "json", ...COMMON_FLAGS]
+  },
+  fixtures: {
+    summary: "Write a seeded synthetic catalog as JSON, CSV or XLSX for any source mode.",
+    flags: ["products", "seed", "format", "outputFile", ...COMMON_FLAGS]
+  }
+};
+
+export const EXIT_CODES = [
+  [0, "Success."],
+  [1, "The command failed (bad data, API errors, refused publish)."],
+  [EXIT_QUARANTINED, "build finished but skipped quarantined products."],
+  [EXIT_PROBLEMS_FOUND, "validate or audit found problems."],
+  [EXIT_USAGE, "Unknown command or flag, or an invalid flag value."]
+];
+
+// Returns { command, options, help, logLevel }. A command line that starts with a flag
+// (or is empty) runs `build`, so existing scripts keep working.
+export function parseCommandLine(argv) {
+  let command = "build";
+  let rest = argv;
+  if (argv.length > 0 && !argv[0].startsWith("-")) {
+    [command, ...rest] = argv;
+  }
+
+  if (command === "help") {
+    if (rest.length > 1) {
+      throw new UsageError(`Unexpected argument: ${rest[1]}`);
+    }
+    if (rest[0] && !COMMANDS[rest[0]]) {
+      throw new UsageError(`Unknown command: ${rest[0]}`);
+    }
+    return { command: rest[0] ?? null, options: {}, help: true };
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const options = parseFlags(rest, FLAGS, { allowed: COMMANDS[command].flags, command });
+
+  if (options.quiet && options.verbose) {
+    throw new UsageError("--quiet and --verbose cannot be used together.", command);
+  }
+  if (options.slug && !options.renameSlug) {
+    throw new UsageError("--slug is only valid together with --rename-slug.", command);
+  }
+
+  // A bare --help shows the command overview rather than the help of build.
+  const { help = false, quiet, verbose, ...commandOptions } = options;
+  return {
+    command: help && rest === argv ? null : command,
+    options: commandOptions,
+    help,
+    logLevel: quiet ? "quiet" : verbose ? "verbose" : "info"
+  };
+}
+
+// Parses `args` against a table of flags in the format of FLAGS, limited to the
+// `allowed` ones. The other scripts of the generator (webhook listener and
+// sender, mock API) parse their own tables with it, so their options, messages
+// and help read like this CLI.
+export function parseFlags(args, flags, { allowed = Object.keys(flags), command = null } = {}) {
+  const allowedKeys = new Set(allowed);
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 1) {
+    const token = args[i];
+    const alias = token.match(/^-([a-z])$/)?.[1];
+    const aliasKey = alias ? Object.keys(flags).find((key) => flags[key].alias === alias) : null;
+    const match = token.match(/^--([a-z][a-z0-9-]*)(?:=(.*))?$/s) ?? (aliasKey ? [token, toFlagName(aliasKey)] : null);
+    if (!match) {
+      throw new UsageError(`Unexpected argument: ${token}`, command);
+    }
+
+    const [, flagName, inlineValue] = match;
+    const key = flagName.replace(/-([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+    const spec = flags[key];
+    if (!spec || !allowedKeys.has(key)) {
+      throw new UsageError(command ? `Unknown option for ${command}: --${flagName}` : `Unknown option: --${flagName}`, command);
+    }
+
+    if (!spec.value) {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`--${flagName} does not take a value.`, command);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      value = args[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new UsageError(`Missing value for --${flagName}`, command);
+      }
+      i += 1;
+    }
+
+    try {
+      if (spec.repeatable) {
+        const name = spec.name ?? key;
+        options[name] = [...new Set([...(options[name] ?? []), ...parseList(value, flagName)])];
+      } else {
+        options[key] = spec.parse ? spec.parse(value) : value;
+      }
+    } catch (error) {
+      throw new UsageError(error.message, command);
+    }
+  }
+
+  return options;
+}
+
+// Help for one command, or the command overview when `command` is null.
+export function renderHelp(command = null) {
+  if (command) {
+    return renderUsage({
+      usage: `${PROGRAM} ${command} [options]`,
+      summary: COMMANDS[command].summary,
+      flags: FLAGS,
+      keys: COMMANDS[command].flags,
+      exitCodes: EXIT_CODES
+    });
+  }
+
+  const lines = [`Usage: ${PROGRAM} [command] [options]`, "", "Commands:"];
+  lines.push(...formatColumns(Object.entries(COMMANDS).map(([name, { summary }]) => [name, summary])));
+  lines.push("", `Run "${PROGRAM} help <command>" for the options of a command.`);
+  lines.push("", "Exit codes:");
+  lines.push(...formatColumns(EXIT_CODES.map(([code, description]) => [String(code), description])));
+  return `${lines.join("\n")}\n`;
+}
+
+// Usage line, summary, the `keys` of a flag table and the exit codes.
+export function renderUsage({ usage, summary, flags, keys = Object.keys(flags), exitCodes }) {
+  const lines = [`Usage: ${usage}`, "", summary, "", "Options:"];
+  lines.push(...formatColumns(keys.map((key) => {
+    const spec = flags[key];
+    const flag = `${spec.alias ? `-${spec.alias}, ` : ""}--${toFlagName(key)}`;
+    return [spec.value ? `${flag} <${spec.value}>` : flag, spec.description];
+  })));
+  lines.push("", "Exit codes:");
+  lines.push(...formatColumns(exitCodes.map(([code, description]) => [String(code), description])));
+  return `${lines.join("\n")}\n`;
+}
+
+function toFlagName(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+function formatColumns(rows) {
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`);
+}
@@ -0,0 +1,76 @@
+// Paths and defaults shared by the landing page generator.
+
+import { availableParallelism } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const rootDir = path.resolve(__dirname, "..", "..");
+
+export const templatePath = path.join(rootDir, "templates", "product-page.template.html");
+export const catalogTemplatePath = path.join(rootDir, "templates", "catalog-index.template.html");
+export const categoryTemplatePath = path.join(rootDir, "templates", "category-page.template.html");
+export const sitemapTemplatePath = path.join(rootDir, "templates", "html-sitemap.template.html");
+export const redirectTemplatePath = path.join(rootDir, "templates", "redirect-page.template.html");
+export const discontinuedTemplatePath = path.join(rootDir, "templates", "discontinued-page.template.html");
+export const qualityReportTemplatePath = path.join(rootDir, "templates", "quality-report.template.html");
+export const defaultPartialsDir = path.join(rootDir, "templates", "partials");
+export const defaultLayoutsDir = path.join(rootDir, "templates", "layouts");
+export const defaultInputPath = path.join(rootDir, "data", "test-product.json");
+export const defaultSnapshotPath = path.join(rootDir, "data", "landing-snapshot.json");
+export const productSchemaPath = path.join(rootDir, "schemas", "landing-product-page.schema.json");
+export const defaultReportDir = path.join(rootDir, "reports");
+export const defaultCheckpointDir = path.join(rootDir, ".landing-checkpoint");
+export const defaultPluginsDir = path.join(rootDir, "plugins");
+export const defaultConfigPaths = [path.join(rootDir, "discor.config.json"), path.join(rootDir, "discor.config.mjs")];
+
+export const DEFAULT_SITE_URL = "https://discor.com.ar";
+// Texts and contact points on the generated pages; "brand" in discor.config.json
+// overrides them.
+export const DEFAULT_BRAND = Object.freeze({
+  name: "DisCor",
+  siteName: "DisCor Mayorista",
+  city: "Córdoba",
+  whatsappNumber: "5493517638778",
+  customerAreaUrl: "https://clientes.discor.com.ar",
+  customerAreaLabel: "Área Clientes",
+  wholesaleCtaText: "Acceder al Área Clientes",
+  googleAnalyticsId: "G-6BTJG46NPC"
+});
+export const DEFAULT_API_PATH = "/api/products/landing/pages";
+export const DEFAULT_API_LIMIT = 100;
+export const DEFAULT_RETRIES = 5;
+export const DEFAULT_RETRY_DELAY_MS = 1200;
+export const DEFAULT_TIMEOUT_MS = 30_000;
+// The API allows 30 requests per minute per IP; the default keeps some headroom.
+export const DEFAULT_RATE_LIMIT = 28;
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 4;
+export const RATE_LIMIT_WINDOW_MS = 60_000;
+// Product pages render on worker threads, by default one per core up to 8.
+// Together the workers keep at most DEFAULT_MAX_OPEN_FILES pages open for writing.
+export const MAX_RENDER_WORKERS = 16;
+export const DEFAULT_RENDER_WORKERS = Math.min(availableParallelism(), 8);
+export const DEFAULT_MAX_OPEN_FILES = 64;
+export const DEFAULT_BENCH_PRODUCTS = 50_000;
+export const DEFAULT_FIXTURE_PRODUCTS = 1000;
+export const DEFAULT_FIXTURE_SEED = 1;
+export const DEFAULT_SYNC_MODE = "full";
+// Incremental syncs cannot see every deactivated product, so one runs as a full
+// sync once the last full sync is this many hours old.
+export const DEFAULT_FULL_SYNC_AFTER_HOURS = 24;
+export const DEFAULT_MAX_DROP_PERCENT = 20;
+export const DEFAULT_MAX_INVALID_PERCENT = 100;
+export const SNAPSHOT_VERSION = 1;
+export const RECORDING_VERSION = 1;
+export const CHECKPOINT_VERSION = 1;
+export const MANIFEST_VERSION = 1;
+export const SLUG_REGISTRY_VERSION = 1;
+export const NEW_PRODUCT_DAYS = 30;
+// Exit code for builds that finished but skipped quarantined products.
+export const EXIT_QUARANTINED = 2;
+// Exit code for `validate` and `audit` runs that found problems.
+export const EXIT_PROBLEMS_FOUND = 3;
+// Exit code for unknown commands, unknown flags and bad flag values (EX_USAGE).
+export const EXIT_USAGE = 64;
@@ -0,0 +1,34 @@
+// Exports the products of any source as JSON or as an importable CSV or XLSX.
+
+import { resolveSettings } from "./project-config.mjs";
+import { loadProducts } from "./sources.mjs";
+import { renderProductsCsv, renderProductsXlsx } from "./spreadsheet.mjs";
+
+export const EXPORT_FORMATS = ["json", "csv", "xlsx"];
+
+// Resolves to { contents, format, count }. JSON uses the { data: [...] } shape
+// that --source file reads; XLSX contents are a Buffer.
+export async function exportProducts(exportOptions = {}) {
+  const format = checkExportFormat(exportOptions.format);
+  const { settings } = await resolveSettings(exportOptions);
+  const products = await loadProducts(settings);
+  return { contents: renderProducts(products, format), format, count: products.length };
+}
+
+export function checkExportFormat(format = "json") {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${EXPORT_FORMATS.map((name) => `'${name}'`).join(", ")}.`);
+  }
+  return format;
+}
+
+// Products in the given format, readable by --source file, csv or xlsx.
+export function renderProducts(products, format) {
+  if (format === "csv") {
+    return renderProductsCsv(products);
+  }
+  if (format === "xlsx") {
+    return renderProductsXlsx(products);
+  }
+  return `${JSON.stringify({ data: products }, null, 2)}\n`;
+}
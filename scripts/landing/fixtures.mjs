@@ -0,0 +1,182 @@
+// Seeded synthetic catalogs for load and edge-case testing. The same seed and
+// size always give the same products, in the shape of the landing API.
+
+import { DEFAULT_FIXTURE_PRODUCTS, DEFAULT_FIXTURE_SEED } from "./config.mjs";
+import { checkExportFormat, renderProducts } from "./export.mjs";
+import { slugify } from "./normalize.mjs";
+
+const VEHICLE_BRANDS = {
+  Fiat: ["Palio", "Siena", "Uno", "Cronos", "Strada", "Toro", "Argo"],
+  Volkswagen: ["Gol", "Suran", "Amarok", "Vento", "Polo", "Saveiro"],
+  Chevrolet: ["Corsa", "Onix", "S10", "Cruze", "Prisma", "Agile"],
+  Renault: ["Clio", "Kangoo", "Sandero", "Duster", "Logan", "Megane"],
+  Ford: ["Ka", "Fiesta", "Ranger", "Focus", "EcoSport"],
+  Peugeot: ["206", "207", "208", "Partner", "308"],
+  Toyota: ["Hilux", "Etios", "Corolla", "SW4"],
+  Citroën: ["C3", "C4", "Berlingo"]
+};
+const GENERATION_NAMES = ["G1", "G2", "G3", "MK2", "Fase II", "Restyling"];
+const LOCATIONS = ["Delantero", "Trasero", "Delantero izquierdo", "Delantero derecho", "Portón trasero"];
+// Parts of sided categories come in left/right pairs.
+const CATEGORIES = [
+  { name: "Espejos", part: "Espejo", sided: true },
+  { name: "Manijas", part: "Manija exterior", sided: true },
+  { name: "Ópticas", part: "Óptica", sided: true },
+  { name: "Levantavidrios", part: "Levantavidrios eléctrico", sided: true },
+  { name: "Bisagras", part: "Bisagra de puerta", sided: true },
+  { name: "Cerraduras", part: "Cerradura", sided: false },
+  { name: "Burletes", part: "Burlete", sided: false },
+  { name: "Paragolpes", part: "Paragolpes", sided: false },
+  { name: "Parrillas", part: "Parrilla", sided: false },
+  { name: "Cristales", part: "Cristal", sided: false }
+];
+const MAKERS = ["DisCor", "Fremec", "Ryd", "Dtc", "Fitam", "Original"];
+const MATERIALS = ["acero", "plástico", "aluminio", "goma"];
+const COLORS = ["negro", "cromado", "gris", "para pintar"];
+// Name endings with characters that escaping, slugs and fonts have to handle.
+const UNICODE_SUFFIXES = ["4×4", "Ñandú", "pingüino", "“Premium”", "🚗 edición especial", "日本製", "Ø 60 mm", "& Cía", "Größe XL", "<reforzado>"];
+
+// Returns `products` products (default DEFAULT_FIXTURE_PRODUCTS) for `seed`.
+// Besides ordinary products the catalog has left/right pairs, names with
+// unicode and markup characters, products without image, description, brand,
+// category or compatibilities, a few with hundreds of compatibilities, and
+// twins whose SKU only differs in case and punctuation, so their slugs collide.
+export function generateCatalog({ products: count = DEFAULT_FIXTURE_PRODUCTS, seed = DEFAULT_FIXTURE_SEED } = {}) {
+  const random = seededRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const chance = (share) => random() < share;
+  const generations = buildGenerations(random, pick);
+
+  const products = [];
+  while (products.length < count) {
+    const index = products.length;
+    const category = pick(CATEGORIES);
+    const maker = pick(MAKERS);
+    const compatibilities = chance(0.04) ? [] : buildCompatibilities(generations, random, pick, chance(0.01) ? 80 + Math.floor(random() * 170) : 1 + Math.floor(random() * 6));
+    const firstVehicle = compatibilities[0]?.vehicleGeneration.vehicleModel;
+    const vehicleLabel = firstVehicle ? `${firstVehicle.vehicleBrand.name} ${firstVehicle.name}` : "universal";
+    const suffix = chance(0.05) ? ` ${pick(UNICODE_SUFFIXES)}` : "";
+    const sku = `${slugify(category.name).slice(0, 3).toUpperCase()}-${String(index).padStart(6, "0")}`;
+    const base = {
+      erpCode: `P${String(index).padStart(6, "0")}`,
+      quantityStep: pick([1, 1, 1, 2, 5, 10]),
+      updatedAt: new Date(Date.UTC(2025, 0, 1) + Math.floor(random() * 600 * 86_400_000)).toISOString(),
+      attributes: { material: pick(MATERIALS), ...(chance(0.3) ? { color: pick(COLORS) } : {}) },
+      compatibilities
+    };
+    if (!chance(0.05)) {
+      base.brand = { id: `maker-${slugify(maker)}`, name: { es: maker } };
+    }
+    if (!chance(0.03)) {
+      base.category = { id: `category-${slugify(category.name)}`, name: { es: category.name } };
+    }
+
+    const sides = category.sided ? ["izquierdo", "derecho"] : [null];
+    for (const side of sides) {
+      const name = `${category.part}${side ? ` ${side}` : ""} ${vehicleLabel}${suffix}`;
+      const product = {
+        id: uuid(random),
+        sku: side ? `${sku}-${side === "izquierdo" ? "I" : "D"}` : sku,
+        name: { es: name },
+        ...structuredClone(base)
+      };
+      if (side) {
+        product.attributes.lado = side;
+      }
+      if (!chance(0.08)) {
+        product.description = { es: `${name}. Repuesto de reposición ${maker}, ${product.attributes.material}.` };
+      }
+      if (!chance(0.1)) {
+        product.image = { url: `/img/productos/${slugify(product.sku)}.jpg`, alt: name };
+      }
+      products.push(product);
+    }
+
+    if (chance(0.02)) {
+      const original = products[products.length - 1];
+      products.push({ ...structuredClone(original), id: uuid(random), sku: original.sku.toLowerCase().replaceAll("-", ".") });
+    }
+  }
+
+  return products.slice(0, count);
+}
+
+// Returns { contents, format, count, seed } like exportProducts(), with the
+// generated catalog as JSON (for --source file and the mock API), CSV or XLSX.
+export function renderCatalogFixture({ format, products, seed = DEFAULT_FIXTURE_SEED } = {}) {
+  const checkedFormat = checkExportFormat(format);
+  const catalog = generateCatalog({ products, seed });
+  return { contents: renderProducts(catalog, checkedFormat), format: checkedFormat, count: catalog.length, seed };
+}
+
+// Every model of every vehicle brand with one to four generations, each with
+// its own year range; some are still in production (no end year) and a few
+// have no generation name.
+function buildGenerations(random, pick) {
+  const generations = [];
+  for (const [brandName, models] of Object.entries(VEHICLE_BRANDS)) {
+    const vehicleBrand = { id: `vehicle-brand-${slugify(brandName)}`, name: brandName };
+    for (const modelName of models) {
+      const vehicleModel = { id: `${vehicleBrand.id}-${slugify(modelName)}`, name: modelName, vehicleBrand };
+      let yearStart = 1995 + Math.floor(random() * 15);
+      const count = 1 + Math.floor(random() * 4);
+      for (let number = 1; number <= count; number += 1) {
+        const yearEnd = number === count && random() < 0.5 ? null : yearStart + 2 + Math.floor(random() * 6);
+        generations.push({
+          id: `${vehicleModel.id}-gen-${number}`,
+          yearStart,
+          yearEnd,
+          generationName: random() < 0.05 ? null : pick(GENERATION_NAMES),
+          vehicleModel
+        });
+        yearStart = (yearEnd ?? yearStart) + 1;
+      }
+    }
+  }
+  return generations;
+}
+
+function buildCompatibilities(generations, random, pick, count) {
+  const chosen = new Set();
+  const compatibilities = [];
+  // Ordinary products fit neighbouring generations, mostly of the same model.
+  let next = Math.floor(random() * generations.length);
+  while (compatibilities.length < Math.min(count, generations.length)) {
+    const generation = count > 6 ? pick(generations) : generations[next % generations.length];
+    next += 1;
+    if (chosen.has(generation.id)) {
+      continue;
+    }
+    chosen.add(generation.id);
+    const location = random() < 0.05 ? null : pick(LOCATIONS);
+    const locationId = location ? `location-${slugify(location)}` : null;
+    compatibilities.push({
+      vehicleGenerationId: generation.id,
+      vehicleLocationId: locationId,
+      vehicleLocation: location ? { id: locationId, name: location } : null,
+      vehicleGeneration: structuredClone(generation)
+    });
+  }
+  return compatibilities;
+}
+
+// mulberry32: small, fast and good enough for test data.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4_294_967_296;
+  };
+}
+
+// Random (version 4 layout) UUIDs drawn from the seeded generator.
+function uuid(random) {
+  const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16));
+  hex[12] = "4";
+  hex[16] = (8 + Math.floor(random() * 4)).toString(16);
+  const text = hex.join("");
+  return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+}
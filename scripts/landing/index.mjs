@@ -0,0 +1,58 @@
+// Public API of the landing page generator. The CLI in
+// scripts/generate-landing-pages.mjs is a thin wrapper around these functions.
+
+import path from "node:path";
+
+import { rootDir } from "./config.mjs";
+import { logInfo } from "./log.mjs";
+import { removeBuildLeftovers, resolveOutputPaths } from "./output.mjs";
+import { resolveSettings } from "./project-config.mjs";
+import { loadProducts as loadSourceProducts } from "./sources.mjs";
+import { renameSlug as renamePinnedSlug } from "./state.mjs";
+
+export { auditSite, renderAuditSummary } from "./audit.mjs";
+export { benchmarkBuild, renderBenchmarkSummary } from "./bench.mjs";
+export { buildSite, validateProducts } from "./build.mjs";
+export { exportProducts } from "./export.mjs";
+export { generateCatalog, renderCatalogFixture } from "./fixtures.mjs";
+export { configureLog } from "./log.mjs";
+export { serveSite } from "./serve.mjs";
+export { normalizeProducts, pickLocaleText, slugify } from "./normalize.mjs";
+export { buildSeoDescription, buildSeoSlug, buildSeoTitle } from "./seo.mjs";
+export { mapProductToTemplateData, renderProductPage } from "./render.mjs";
+export { compileTemplate, lintTemplate, loadTemplate, renderTemplate } from "./template.mjs";
+export { renderResolvedConfig, resolveSettings } from "./project-config.mjs";
+export { EXIT_PROBLEMS_FOUND, EXIT_QUARANTINED, EXIT_USAGE } from "./config.mjs";
+
+// Loads the products a build with these options would render.
+export async function loadProducts(options = {}) {
+  const { settings } = await resolveSettings(options);
+  return loadSourceProducts(settings);
+}
+
+// Moves a product to a new slug; the old URL becomes a redirect on the next build.
+export async function renameSlug(key, slug, options = {}) {
+  const { settings } = await resolveSettings(options);
+  return renamePinnedSlug(resolveOutputPaths(path.resolve(rootDir, settings.outDir)), key, slug);
+}
+
+// Removes staging directories, temp files, the checkpoint and the report
+// directory of a site. Resolves with the removed (or, with dryRun, removable) paths.
+export async function cleanSite(options = {}, { dryRun = false } = {}) {
+  const { settings } = await resolveSettings(options);
+  const outputPaths = resolveOutputPaths(path.resolve(rootDir, settings.outDir));
+  const workDirs = [settings.checkpoint, settings.reportDir].map((dir) => path.resolve(rootDir, dir));
+  const contains = (dir, target) => target === dir || target.startsWith(`${dir}${path.sep}`);
+  for (const dir of workDirs) {
+    if (contains(dir, rootDir) || contains(dir, outputPaths.siteDir) || contains(dir, outputPaths.outputDir)) {
+      throw new Error(`Refusing to clean ${path.relative(rootDir, dir) || "."}: it contains the site.`);
+    }
+  }
+
+  const removed = await removeBuildLeftovers(outputPaths, workDirs, { dryRun });
+  for (const target of removed) {
+    logInfo(`[landing-pages] ${dryRun ? "Would remove" : "Removed"} ${path.relative(rootDir, target)}`);
+  }
+  logInfo(`[landing-pages] ${removed.length === 0 ? "Nothing to clean." : `${dryRun ? "Would remove" : "Removed"} ${removed.length} paths.`}`);
+  return removed;
+}
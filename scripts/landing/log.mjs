@@ -0,0 +1,33 @@
+// Log levels: "quiet" keeps warnings and errors, "verbose" adds debug lines
+// such as every API request.
+
+const LEVELS = { quiet: 0, info: 1, verbose: 2 };
+
+let currentLevel = LEVELS.info;
+let infoToStderr = false;
+
+// `stderr` moves info and debug lines off stdout, for commands that write
+// their result there (export without --output-file).
+export function configureLog({ level = "info", stderr = false } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level ${level}. Use one of ${Object.keys(LEVELS).join(", ")}.`);
+  }
+  currentLevel = LEVELS[level];
+  infoToStderr = stderr;
+}
+
+export function logInfo(message) {
+  if (currentLevel >= LEVELS.info) {
+    (infoToStderr ? console.error : console.log)(message);
+  }
+}
+
+export function logDebug(message) {
+  if (currentLevel >= LEVELS.verbose) {
+    (infoToStderr ? console.error : console.log)(message);
+  }
+}
+
+export function logWarn(message) {
+  console.warn(message);
+}
@@ -0,0 +1,98 @@
+// Normalization helpers for raw landing API products.
+
+export function dedupeProducts(products) {
+  const seen = new Set();
+  const unique = [];
+
+  for (const product of products) {
+    const key = `${product?.id ?? ""}|${product?.sku ?? ""}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    unique.push(product);
+  }
+
+  return unique;
+}
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function normalizeProducts(input) {
+  if (Array.isArray(input)) {
+    return input;
+  }
+
+  if (input && Array.isArray(input.data)) {
+    return input.data;
+  }
+
+  if (input && typeof input === "object") {
+    return [input];
+  }
+
+  return [];
+}
+
+export function normalizeDate(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
+
+  return parsed.toISOString().slice(0, 10);
+}
+
+export function pickLocaleText(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  if (typeof value === "string") {
+    return cleanText(value, fallback);
+  }
+  if (typeof value === "object") {
+    if (value.es) {
+      return cleanText(value.es, fallback);
+    }
+    const firstValue = Object.values(value)[0];
+    if (firstValue) {
+      return cleanText(firstValue, fallback);
+    }
+  }
+  return fallback;
+}
+
+export function cleanText(value, fallback) {
+  if (typeof value !== "string") {
+    return fallback;
+  }
+  const trimmed = value.trim();
+  return trimmed || fallback;
+}
+
+export function parseYear(value) {
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < 1900 || year > 2200) {
+    return null;
+  }
+  return year;
+}
+
+export function slugify(value) {
+  return String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+}
+
+export function trimTrailingSlash(value) {
+  return value.endsWith("/") ? value.slice(0, -1) : value;
+}
@@ -0,0 +1,62 @@
+// Parsers for option values given on the command line or in the environment.
+
+import { MAX_CONCURRENCY, MAX_RENDER_WORKERS } from "./config.mjs";
+
+export function parseList(value, fieldName) {
+  const items = [...new Set(value.split(",").map((item) => item.trim()).filter(Boolean))];
+  if (items.length === 0) {
+    throw new Error(`--${fieldName} needs at least one value.`);
+  }
+  return items;
+}
+
+export function parseConcurrency(value) {
+  const parsed = parsePositiveInteger(value, "concurrency");
+  if (parsed > MAX_CONCURRENCY) {
+    throw new Error(`--concurrency must be between 1 and ${MAX_CONCURRENCY}.`);
+  }
+  return parsed;
+}
+
+export function parseRenderWorkers(value) {
+  const parsed = parsePositiveInteger(value, "render-workers");
+  if (parsed > MAX_RENDER_WORKERS) {
+    throw new Error(`--render-workers must be between 1 and ${MAX_RENDER_WORKERS}.`);
+  }
+  return parsed;
+}
+
+export function parseMaxDropPercent(value) {
+  return parsePercent(value, "max-drop-percent");
+}
+
+export function parsePercent(value, fieldName) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 100) {
+    throw new Error(`--${fieldName} must be a number between 0 and 100.`);
+  }
+  return parsed;
+}
+
+export function parseSyncMode(value) {
+  if (value !== "full" && value !== "incremental") {
+    throw new Error("--sync must be either 'full' or 'incremental'.");
+  }
+  return value;
+}
+
+export function parsePositiveInteger(value, fieldName) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`--${fieldName} must be a positive integer.`);
+  }
+  return parsed;
+}
+
+export function parseNonNegativeInteger(value, fieldName) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`--${fieldName} must be a non-negative integer.`);
+  }
+  return parsed;
+}
@@ -0,0 +1,183 @@
+// Writing the site: output paths, staged publishing and in-place patches.
+
+import { copyFile, cp, mkdir, readdir, rename, rm, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { DEFAULT_BRAND, rootDir } from "./config.mjs";
+import { logInfo } from "./log.mjs";
+import { slugify } from "./normalize.mjs";
+import { renderCategoryPage, renderDiscontinuedPage, renderRedirectPage } from "./render.mjs";
+import { productKey } from "./state.mjs";
+
+// Copies the last published page (and its redirects) of quarantined products
+// into the staged output so their URLs keep working until they render again.
+export async function copyHeldPages(registry, heldKeys, outputDir, targetDir) {
+  for (const key of heldKeys) {
+    const entry = registry.slugs[key];
+    for (const fileName of entry ? [entry.fileName, ...(entry.previous ?? [])] : []) {
+      try {
+        await copyFile(path.join(outputDir, fileName), path.join(targetDir, fileName));
+      } catch (error) {
+        if (error?.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    }
+  }
+}
+
+export function resolveOutputPaths(siteDir) {
+  const outputDir = path.join(siteDir, "products");
+  return {
+    siteDir,
+    outputDir,
+    stagingDir: path.join(siteDir, ".products-staging"),
+    previousOutputDir: path.join(siteDir, ".products-previous"),
+    sitemapPath: path.join(siteDir, "sitemap.xml"),
+    robotsPath: path.join(siteDir, "robots.txt"),
+    manifestPath: path.join(outputDir, "manifest.json"),
+    slugRegistryPath: path.join(outputDir, "slug-registry.json")
+  };
+}
+
+export async function generateRetiredUrlPages(templates, registry, generatedPages, siteUrl, targetDir, brand = DEFAULT_BRAND) {
+  const pagesByKey = new Map(generatedPages.map((page) => [productKey(page), page]));
+  let redirects = 0;
+  let discontinued = 0;
+
+  for (const [key, entry] of Object.entries(registry.slugs)) {
+    const current = pagesByKey.get(key);
+
+    if (current) {
+      for (const oldFileName of entry.previous ?? []) {
+        await writeFile(path.join(targetDir, oldFileName), renderRedirectPage(templates.redirect, current, siteUrl, brand), "utf8");
+        redirects += 1;
+      }
+      continue;
+    }
+
+    if (!entry.discontinued) {
+      continue;
+    }
+
+    const alternatives = generatedPages
+      .filter((page) => entry.discontinued.category && page.category === entry.discontinued.category)
+      .sort((a, b) => a.title.localeCompare(b.title, "es"))
+      .slice(0, 6);
+    const html = renderDiscontinuedPage(templates.discontinued, { ...entry.discontinued, fileName: entry.fileName }, alternatives, siteUrl, brand);
+
+    for (const fileName of [entry.fileName, ...(entry.previous ?? [])]) {
+      await writeFile(path.join(targetDir, fileName), html, "utf8");
+      discontinued += 1;
+    }
+  }
+
+  logInfo(`[landing-pages] Generated ${redirects} redirect pages and ${discontinued} discontinued product pages.`);
+}
+
+export function assertProductCountWithinLimit({ stagingDir }, previousCount, nextCount, maxDropPercent) {
+  if (!previousCount || nextCount >= previousCount) {
+    return;
+  }
+
+  const dropPercent = ((previousCount - nextCount) / previousCount) * 100;
+  if (dropPercent > maxDropPercent) {
+    throw new Error(
+      `Refusing to publish: product count dropped from ${previousCount} to ${nextCount} ` +
+      `(${dropPercent.toFixed(1)}%), above the ${maxDropPercent}% limit. ` +
+      `The staged build was kept in ${path.relative(rootDir, stagingDir)}/. ` +
+      "Use --max-drop-percent or LANDING_PAGE_MAX_DROP_PERCENT to allow it."
+    );
+  }
+}
+
+export async function countPublishedProductPages(outputDir) {
+  // Builds from before the manifest existed: count the product pages on disk.
+  try {
+    const names = await readdir(outputDir);
+    return names.filter((name) => name.endsWith(".html") && name !== "index.html" && name !== "sitemap.html").length;
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+// Replaces products/ with the staged build. Entries of the live products/ the
+// build does not own (hand-made files and directories) are carried over.
+// ownedFileNames lists the pages earlier builds published (the slug registry);
+// without it every top-level .html file counts as generated, as for sites built
+// before the registry existed.
+export async function swapStagedOutput({ outputDir, stagingDir, previousOutputDir }, ownedFileNames = null) {
+  const liveEntries = await readdir(outputDir, { withFileTypes: true }).catch((error) => {
+    if (error?.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  });
+  const stagedNames = new Set(await readdir(stagingDir));
+  const isOwned = (name) => name.endsWith(".html") && (!ownedFileNames || ownedFileNames.has(name));
+  for (const entry of liveEntries ?? []) {
+    if (!stagedNames.has(entry.name) && !isOwned(entry.name)) {
+      await cp(path.join(outputDir, entry.name), path.join(stagingDir, entry.name), { recursive: true, verbatimSymlinks: true });
+    }
+  }
+
+  await rm(previousOutputDir, { recursive: true, force: true });
+  if (liveEntries) {
+    await rename(outputDir, previousOutputDir);
+  }
+
+  try {
+    await rename(stagingDir, outputDir);
+  } catch (error) {
+    if (liveEntries) {
+      await rename(previousOutputDir, outputDir);
+    }
+    throw error;
+  }
+
+  await rm(previousOutputDir, { recursive: true, force: true });
+}
+
+// Removes what interrupted or finished builds leave next to the site: the
+// staging directories, temp files and the given work directories (checkpoint,
+// reports). Published pages are never touched. Returns the removed paths.
+export async function removeBuildLeftovers({ stagingDir, previousOutputDir, sitemapPath, robotsPath }, workDirs, { dryRun = false } = {}) {
+  const removed = [];
+  for (const target of [stagingDir, previousOutputDir, `${sitemapPath}.tmp`, `${robotsPath}.tmp`, ...workDirs]) {
+    const exists = await stat(target).then(() => true, () => false);
+    if (!exists) {
+      continue;
+    }
+    if (!dryRun) {
+      await rm(target, { recursive: true, force: true });
+    }
+    removed.push(target);
+  }
+  return removed;
+}
+
+export async function writeFileAtomically(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, content, "utf8");
+  await rename(tempPath, filePath);
+}
+
+export async function generateCategoryPages(template, generatedPages, siteUrl, outputDir, onlyCategories = null, brand = DEFAULT_BRAND) {
+  const categories = [...new Set(generatedPages.map((p) => p.category))]
+    .filter((cat) => !onlyCategories || onlyCategories.has(cat));
+  const catDir = path.join(outputDir, "category");
+  await mkdir(catDir, { recursive: true });
+
+  for (const cat of categories) {
+    if (!cat || cat === "Sin categoría") continue;
+    const slug = slugify(cat);
+    const catPages = generatedPages.filter(p => p.category === cat);
+    const catHtml = renderCategoryPage(template, catPages, cat, siteUrl, brand);
+    const catPath = path.join(catDir, slug + ".html");
+    await writeFile(catPath, catHtml, "utf8");
+    logInfo("Generated " + path.relative(rootDir, catPath));
+  }
+}
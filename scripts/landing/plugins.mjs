@@ -0,0 +1,227 @@
+// Build plugins: modules in plugins/ that hook into the stages of a build.
+
+import { mkdir, readdir } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { defaultPluginsDir, rootDir } from "./config.mjs";
+import { logInfo } from "./log.mjs";
+import { writeFileAtomically } from "./output.mjs";
+
+const PLUGIN_HOOKS = ["afterLoad", "afterMap", "beforeRender", "afterPageWrite", "afterBuild", "validate"];
+
+// `plugins` is a directory of .mjs files (default plugins/, loaded in file name
+// order) or, from code, an array of plugin objects.
+export async function loadPlugins(plugins) {
+  if (Array.isArray(plugins)) {
+    return plugins.map((plugin, index) => checkPlugin(plugin, `plugins[${index}]`));
+  }
+
+  const dir = path.resolve(rootDir, plugins ?? defaultPluginsDir);
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (error) {
+    if (error?.code === "ENOENT" && plugins == null) {
+      return [];
+    }
+    throw new Error(`Could not read plugins directory ${path.relative(rootDir, dir) || "."}: ${error.message}`);
+  }
+
+  const loaded = [];
+  for (const name of names.filter((item) => item.endsWith(".mjs")).sort()) {
+    const file = path.join(dir, name);
+    const module = await import(pathToFileURL(file).href);
+    loaded.push(checkPlugin(module.default, path.relative(rootDir, file)));
+  }
+
+  if (loaded.length > 0) {
+    logInfo(`[landing-pages] Loaded plugins: ${loaded.map((plugin) => plugin.name).join(", ")}.`);
+  }
+  return loaded;
+}
+
+function checkPlugin(plugin, label) {
+  if (!plugin || typeof plugin !== "object" || typeof plugin.name !== "string" || !plugin.name) {
+    throw new Error(`Plugin ${label} must export a default object with a "name".`);
+  }
+  for (const [key, value] of Object.entries(plugin)) {
+    if (key === "name") {
+      continue;
+    }
+    if (!PLUGIN_HOOKS.includes(key)) {
+      throw new Error(`Plugin "${plugin.name}" has an unknown hook "${key}". Hooks: ${PLUGIN_HOOKS.join(", ")}.`);
+    }
+    if (typeof value !== "function") {
+      throw new Error(`Plugin "${plugin.name}": ${key} must be a function.`);
+    }
+  }
+  return plugin;
+}
+
+// Runs the hooks of every plugin in load order. `context` is passed to each
+// hook together with emitFile(), which queues an extra output file under the
+// site root; queued files are written by flushEmittedFiles() once the build
+// has been published.
+export function createPluginRunner(plugins, { siteUrl, imageBaseUrl, source, outDir }) {
+  const emitted = new Map();
+  const context = Object.freeze({
+    siteUrl,
+    imageBaseUrl,
+    source,
+    outDir,
+    emitFile(relativePath, contents) {
+      emitted.set(resolveEmittedPath(outDir, relativePath), String(contents));
+    }
+  });
+
+  async function call(plugin, hook, ...params) {
+    try {
+      return await plugin[hook](...params, context);
+    } catch (error) {
+      throw new Error(`Plugin "${plugin.name}" failed in ${hook}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  function withHook(hook) {
+    return plugins.filter((plugin) => plugin[hook]);
+  }
+
+  return {
+    count: plugins.length,
+
+    has(hook) {
+      return withHook(hook).length > 0;
+    },
+
+    // Each hook may return a new product list; returning nothing keeps the
+    // (possibly mutated) list.
+    async afterLoad(products) {
+      let current = products;
+      for (const plugin of withHook("afterLoad")) {
+        const result = await call(plugin, "afterLoad", current);
+        if (result !== undefined) {
+          if (!Array.isArray(result)) {
+            throw new Error(`Plugin "${plugin.name}" failed in afterLoad: expected an array of products.`);
+          }
+          current = result;
+        }
+      }
+      return current;
+    },
+
+    async afterMap(pageData, product) {
+      let current = pageData;
+      for (const plugin of withHook("afterMap")) {
+        current = (await call(plugin, "afterMap", current, product)) ?? current;
+        checkTemplateValues(plugin, "afterMap", current?.templateValues, "templateValues");
+      }
+      return current;
+    },
+
+    // Hooks add template tokens by setting keys on `values` or by returning
+    // an object of tokens.
+    async beforeRender(values, pageData) {
+      for (const plugin of withHook("beforeRender")) {
+        const result = await call(plugin, "beforeRender", values, pageData);
+        if (result && typeof result === "object") {
+          Object.assign(values, result);
+        }
+        checkTemplateValues(plugin, "beforeRender", values);
+      }
+      return values;
+    },
+
+    async afterPageWrite(page) {
+      for (const plugin of withHook("afterPageWrite")) {
+        await call(plugin, "afterPageWrite", page);
+      }
+    },
+
+    async afterBuild(summary) {
+      for (const plugin of withHook("afterBuild")) {
+        await call(plugin, "afterBuild", summary);
+      }
+    },
+
+    // Quality rules for buildQualityReport(): each returns { errors, warnings }.
+    validationRules() {
+      return withHook("validate").map((plugin) => (product) => {
+        const tag = (message) => `[${plugin.name}] ${message}`;
+        let result;
+        try {
+          result = plugin.validate(product, context) ?? {};
+        } catch (error) {
+          return { errors: [tag(`validate failed: ${error instanceof Error ? error.message : String(error)}`)], warnings: [] };
+        }
+        return {
+          errors: (result.errors ?? []).map(tag),
+          warnings: (result.warnings ?? []).map(tag)
+        };
+      });
+    },
+
+    async flushEmittedFiles() {
+      for (const [filePath, contents] of emitted) {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFileAtomically(filePath, contents);
+        logInfo(`Generated ${path.relative(rootDir, filePath)}`);
+      }
+      emitted.clear();
+    }
+  };
+}
+
+// Template values travel to the render workers by structured clone, so a hook
+// that leaves anything but plain data in them fails right away, naming the
+// plugin and the value, instead of as a DataCloneError in the worker pool.
+function checkTemplateValues(plugin, hook, values, valuePath = "") {
+  const problem = findNonDataValue(values, valuePath);
+  if (problem) {
+    throw new Error(`Plugin "${plugin.name}" failed in ${hook}: ${problem}. Template values must be strings, numbers, booleans, null, arrays or plain objects.`);
+  }
+}
+
+// Describes the first value below `value` that is not plain data, or returns null.
+function findNonDataValue(value, valuePath = "", seen = new Set()) {
+  if (value === null || value === undefined || ["string", "number", "boolean"].includes(typeof value)) {
+    return null;
+  }
+  const label = valuePath || "values";
+  if (typeof value !== "object") {
+    return `${label} is a ${typeof value}`;
+  }
+  if (seen.has(value)) {
+    return null;
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    for (let index = 0; index < value.length; index += 1) {
+      const problem = findNonDataValue(value[index], `${label}[${index}]`, seen);
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return `${label} is an instance of ${prototype?.constructor?.name || "a class"}`;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    const problem = findNonDataValue(item, valuePath ? `${valuePath}.${key}` : key, seen);
+    if (problem) {
+      return problem;
+    }
+  }
+  return null;
+}
+
+function resolveEmittedPath(outDir, relativePath) {
+  const filePath = path.resolve(outDir, String(relativePath));
+  if (path.isAbsolute(String(relativePath)) || !filePath.startsWith(`${outDir}${path.sep}`)) {
+    throw new Error(`emitFile() paths must stay inside the site root: ${relativePath}`);
+  }
+  return filePath;
+}
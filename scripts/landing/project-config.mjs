@@ -0,0 +1,338 @@
+// Project settings: discor.config.json (or .mjs) merged with environment
+// variables and CLI flags. Precedence: CLI > env > config file > defaults.
+
+import { access, readFile } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import {
+  DEFAULT_API_LIMIT,
+  DEFAULT_API_PATH,
+  DEFAULT_BRAND,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_FULL_SYNC_AFTER_HOURS,
+  DEFAULT_MAX_DROP_PERCENT,
+  DEFAULT_MAX_INVALID_PERCENT,
+  DEFAULT_MAX_OPEN_FILES,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_RENDER_WORKERS,
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_DELAY_MS,
+  DEFAULT_SITE_URL,
+  DEFAULT_SYNC_MODE,
+  DEFAULT_TIMEOUT_MS,
+  MAX_CONCURRENCY,
+  MAX_RENDER_WORKERS,
+  defaultCheckpointDir,
+  defaultConfigPaths,
+  defaultReportDir,
+  defaultSnapshotPath,
+  rootDir
+} from "./config.mjs";
+import { logDebug } from "./log.mjs";
+import { isPlainObject, trimTrailingSlash } from "./normalize.mjs";
+
+const relativeToRoot = (filePath) => path.relative(rootDir, filePath);
+
+// Settings that can come from the config file. `env` names the variable that
+// overrides it; settings without a default stay null unless set.
+const SETTINGS = {
+  siteUrl: { type: "url", env: "SITE_URL", default: DEFAULT_SITE_URL },
+  imageBaseUrl: { type: "url", env: "LANDING_PAGE_IMAGE_BASE_URL" },
+  source: { type: "source" },
+  input: { type: "string" },
+  apiBaseUrl: { type: "url", env: "LANDING_PAGE_API_BASE_URL" },
+  apiToken: { type: "string", env: "LANDING_PAGE_TOKEN", secret: true },
+  apiPath: { type: "apiPath", env: "LANDING_PAGE_API_PATH", default: DEFAULT_API_PATH },
+  limit: { type: "positiveInteger", env: "LANDING_PAGE_LIMIT", default: DEFAULT_API_LIMIT },
+  maxPages: { type: "positiveInteger" },
+  retries: { type: "nonNegativeInteger", env: "LANDING_PAGE_RETRIES", default: DEFAULT_RETRIES },
+  retryDelayMs: { type: "positiveInteger", env: "LANDING_PAGE_RETRY_DELAY_MS", default: DEFAULT_RETRY_DELAY_MS },
+  timeoutMs: { type: "positiveInteger", env: "LANDING_PAGE_TIMEOUT_MS", default: DEFAULT_TIMEOUT_MS },
+  rateLimit: { type: "positiveInteger", env: "LANDING_PAGE_RATE_LIMIT", default: DEFAULT_RATE_LIMIT },
+  concurrency: { type: "concurrency", env: "LANDING_PAGE_CONCURRENCY", default: DEFAULT_CONCURRENCY },
+  sync: { type: "sync", env: "LANDING_PAGE_SYNC_MODE", default: DEFAULT_SYNC_MODE },
+  fullSyncAfterHours: { type: "positiveInteger", env: "LANDING_PAGE_FULL_SYNC_AFTER_HOURS", default: DEFAULT_FULL_SYNC_AFTER_HOURS },
+  snapshot: { type: "string", env: "LANDING_PAGE_SNAPSHOT", default: relativeToRoot(defaultSnapshotPath) },
+  checkpoint: { type: "string", env: "LANDING_PAGE_CHECKPOINT_DIR", default: relativeToRoot(defaultCheckpointDir) },
+  outDir: { type: "string", default: "." },
+  reportDir: { type: "string", default: relativeToRoot(defaultReportDir) },
+  maxDropPercent: { type: "percent", env: "LANDING_PAGE_MAX_DROP_PERCENT", default: DEFAULT_MAX_DROP_PERCENT },
+  maxInvalidPercent: { type: "percent", env: "LANDING_PAGE_MAX_INVALID_PERCENT", default: DEFAULT_MAX_INVALID_PERCENT },
+  renderWorkers: { type: "renderWorkers", env: "LANDING_PAGE_RENDER_WORKERS", default: DEFAULT_RENDER_WORKERS },
+  maxOpenFiles: { type: "positiveInteger", env: "LANDING_PAGE_MAX_OPEN_FILES", default: DEFAULT_MAX_OPEN_FILES },
+  plugins: { type: "plugins" }
+};
+
+const BRAND_SETTINGS = {
+  name: "text",
+  siteName: "text",
+  city: "text",
+  whatsappNumber: "whatsappNumber",
+  customerAreaUrl: "url",
+  customerAreaLabel: "text",
+  wholesaleCtaText: "text",
+  googleAnalyticsId: "googleAnalyticsId"
+};
+
+// Keys of one entry of "templateRules": the template and the conditions it needs.
+const TEMPLATE_RULE_KEYS = ["template", "category", "attribute", "sku"];
+
+// Resolves every setting of a build. `options` are the camelCase CLI flags (or
+// the buildSite() options); per-run flags such as --sku or --replay pass
+// through unchanged. Returns { settings, origins, configFile }, where origins
+// tells for each setting whether it came from "cli", "env", "config" or "default".
+export async function resolveSettings(options = {}, { env = process.env } = {}) {
+  const { config, configFile } = await loadProjectConfig(options.config);
+  const configLabel = configFile ? path.relative(rootDir, configFile) : "config";
+  const settings = { ...options };
+  const origins = {};
+
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    const envValue = spec.env ? env[spec.env] : undefined;
+    if (options[key] != null) {
+      settings[key] = checkSetting(spec.type, options[key], `--${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`, false);
+      origins[key] = "cli";
+    } else if (envValue) {
+      settings[key] = checkSetting(spec.type, envValue, spec.env, true);
+      origins[key] = "env";
+    } else if (config[key] != null) {
+      settings[key] = checkSetting(spec.type, config[key], `${configLabel}: "${key}"`, false);
+      origins[key] = "config";
+    } else {
+      settings[key] = spec.default ?? null;
+      origins[key] = "default";
+    }
+  }
+
+  if (settings.imageBaseUrl == null) {
+    settings.imageBaseUrl = settings.siteUrl;
+    origins.imageBaseUrl = origins.siteUrl;
+  }
+
+  // An API base URL from the CLI or the environment still switches to API mode
+  // as before; one from the config file alone does not, so local builds keep
+  // reading files.
+  if (origins.source !== "cli" && (options.replay || origins.apiBaseUrl === "cli" || origins.apiBaseUrl === "env")) {
+    settings.source = "api";
+    origins.source = options.replay ? "cli" : origins.apiBaseUrl;
+  } else if (settings.source == null) {
+    settings.source = "file";
+  }
+
+  settings.brand = { ...DEFAULT_BRAND };
+  origins.brand = "default";
+  if (config.brand != null) {
+    if (!isPlainObject(config.brand)) {
+      throw new Error(`${configLabel}: "brand" must be an object.`);
+    }
+    for (const [key, value] of Object.entries(config.brand)) {
+      if (!BRAND_SETTINGS[key]) {
+        throw new Error(`${configLabel}: unknown setting "brand.${key}". Known: ${Object.keys(BRAND_SETTINGS).join(", ")}.`);
+      }
+      settings.brand[key] = checkSetting(BRAND_SETTINGS[key], value, `${configLabel}: "brand.${key}"`, false);
+    }
+    origins.brand = "config";
+  }
+
+  // buildSite() may pass rules directly; there is no CLI flag for them.
+  if (options.templateRules != null) {
+    settings.templateRules = checkTemplateRules(options.templateRules, "");
+    origins.templateRules = "cli";
+  } else if (config.templateRules != null) {
+    settings.templateRules = checkTemplateRules(config.templateRules, `${configLabel}: `);
+    origins.templateRules = "config";
+  } else {
+    settings.templateRules = [];
+    origins.templateRules = "default";
+  }
+
+  return { settings, origins, configFile };
+}
+
+// The resolved settings as printed by --print-config; the API token is masked.
+export function renderResolvedConfig({ settings, origins, configFile }) {
+  const printed = {};
+  for (const key of [...Object.keys(SETTINGS), "brand", "templateRules"]) {
+    printed[key] = SETTINGS[key]?.secret && settings[key] ? "********" : settings[key];
+  }
+  const body = {
+    configFile: configFile ? path.relative(rootDir, configFile) : null,
+    settings: printed,
+    origins
+  };
+  return `${JSON.stringify(body, null, 2)}\n`;
+}
+
+async function loadProjectConfig(explicitPath) {
+  const candidates = explicitPath ? [path.resolve(rootDir, explicitPath)] : defaultConfigPaths;
+
+  for (const file of candidates) {
+    if (!explicitPath && !(await access(file).then(() => true, () => false))) {
+      continue;
+    }
+
+    let config;
+    try {
+      config = file.endsWith(".mjs")
+        ? (await import(pathToFileURL(file).href)).default
+        : JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read config file ${path.relative(rootDir, file)}: ${error.message}`);
+    }
+
+    checkConfigShape(config, path.relative(rootDir, file));
+    logDebug(`[landing-pages] Using config file ${path.relative(rootDir, file)}.`);
+    return { config, configFile: file };
+  }
+
+  return { config: {}, configFile: null };
+}
+
+function checkConfigShape(config, label) {
+  if (!isPlainObject(config)) {
+    throw new Error(`${label} must contain an object.`);
+  }
+  for (const key of Object.keys(config)) {
+    if (key === "apiToken") {
+      throw new Error(`${label}: "apiToken" must not be stored in the config file. Set LANDING_PAGE_TOKEN instead.`);
+    }
+    if (key !== "brand" && key !== "templateRules" && !SETTINGS[key]) {
+      throw new Error(`${label}: unknown setting "${key}". Known: ${[...Object.keys(SETTINGS).filter((name) => !SETTINGS[name].secret), "brand", "templateRules"].join(", ")}.`);
+    }
+  }
+}
+
+// Each rule is { template, category?, attribute?, sku? } with at least one
+// condition. category and sku take a string or a list of strings (sku patterns
+// may use * and ?); attribute maps attribute names to a value, a list of
+// values or true for any value.
+function checkTemplateRules(rules, labelPrefix) {
+  if (!Array.isArray(rules)) {
+    throw new Error(`${labelPrefix}"templateRules" must be a list of rules.`);
+  }
+
+  return rules.map((rule, index) => {
+    const ruleLabel = `templateRules[${index}]`;
+    if (!isPlainObject(rule)) {
+      throw new Error(`${labelPrefix}"${ruleLabel}" must be an object.`);
+    }
+    for (const key of Object.keys(rule)) {
+      if (!TEMPLATE_RULE_KEYS.includes(key)) {
+        throw new Error(`${labelPrefix}"${ruleLabel}": unknown key "${key}". Known: ${TEMPLATE_RULE_KEYS.join(", ")}.`);
+      }
+    }
+    if (typeof rule.template !== "string" || !rule.template.endsWith(".html")) {
+      throw new Error(`${labelPrefix}"${ruleLabel}.template" must be the path of an .html file.`);
+    }
+    if (rule.category == null && rule.attribute == null && rule.sku == null) {
+      throw new Error(`${labelPrefix}"${ruleLabel}" needs at least one of "category", "attribute" or "sku".`);
+    }
+
+    const checked = { template: rule.template };
+    for (const key of ["category", "sku"]) {
+      if (rule[key] != null) {
+        checked[key] = checkTextList(rule[key], `${labelPrefix}"${ruleLabel}.${key}"`);
+      }
+    }
+    if (rule.attribute != null) {
+      if (!isPlainObject(rule.attribute) || Object.keys(rule.attribute).length === 0) {
+        throw new Error(`${labelPrefix}"${ruleLabel}.attribute" must map attribute names to values, e.g. { "lado": "izquierdo" }.`);
+      }
+      checked.attribute = Object.fromEntries(Object.entries(rule.attribute).map(([name, values]) => [
+        name,
+        values === true ? true : checkTextList(values, `${labelPrefix}"${ruleLabel}.attribute.${name}"`)
+      ]));
+    }
+    return checked;
+  });
+}
+
+function checkTextList(value, label) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0 || values.some((item) => typeof item !== "string" || item.trim() === "")) {
+    throw new Error(`${label} must be a non-empty string or a list of them.`);
+  }
+  return values;
+}
+
+// Environment variables arrive as strings; config values must already have the
+// right JSON type.
+function checkSetting(type, value, label, fromEnv) {
+  const number = fromEnv && typeof value === "string" ? Number(value) : value;
+
+  switch (type) {
+    case "string":
+    case "text":
+      if (typeof value !== "string" || value.trim() === "") {
+        throw new Error(`${label} must be a non-empty string.`);
+      }
+      return value;
+    case "plugins":
+      // buildSite() also takes the plugin objects themselves.
+      if (Array.isArray(value) && !fromEnv) {
+        return value;
+      }
+      if (typeof value !== "string" || value.trim() === "") {
+        throw new Error(`${label} must be a directory or, from code, a list of plugins.`);
+      }
+      return value;
+    case "url":
+      if (typeof value !== "string" || !/^https?:\/\/[^\s/]+/.test(value)) {
+        throw new Error(`${label} must be an http(s) URL.`);
+      }
+      return trimTrailingSlash(value);
+    case "apiPath":
+      if (typeof value !== "string" || !value.startsWith("/")) {
+        throw new Error(`${label} must be a path starting with "/".`);
+      }
+      return value;
+    case "positiveInteger":
+      if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`${label} must be a positive integer.`);
+      }
+      return number;
+    case "nonNegativeInteger":
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${label} must be a non-negative integer.`);
+      }
+      return number;
+    case "percent":
+      if (typeof number !== "number" || !Number.isFinite(number) || number < 0 || number > 100) {
+        throw new Error(`${label} must be a number between 0 and 100.`);
+      }
+      return number;
+    case "concurrency":
+      if (!Number.isInteger(number) || number < 1 || number > MAX_CONCURRENCY) {
+        throw new Error(`${label} must be an integer between 1 and ${MAX_CONCURRENCY}.`);
+      }
+      return number;
+    case "renderWorkers":
+      if (!Number.isInteger(number) || number < 1 || number > MAX_RENDER_WORKERS) {
+        throw new Error(`${label} must be an integer between 1 and ${MAX_RENDER_WORKERS}.`);
+      }
+      return number;
+    case "sync":
+      if (value !== "full" && value !== "incremental") {
+        throw new Error(`${label} must be 'full' or 'incremental'.`);
+      }
+      return value;
+    case "source":
+      if (!["file", "api", "csv", "xlsx"].includes(value)) {
+        throw new Error(`${label} must be one of 'file', 'api', 'csv' or 'xlsx'.`);
+      }
+      return value;
+    case "whatsappNumber":
+      if (typeof value !== "string" || !/^\d{8,15}$/.test(value)) {
+        throw new Error(`${label} must be the international number with digits only, e.g. "5493517638778".`);
+      }
+      return value;
+    case "googleAnalyticsId":
+      if (typeof value !== "string" || !/^G-[A-Z0-9]+$/.test(value)) {
+        throw new Error(`${label} must be a Google Analytics measurement id like "G-XXXXXXX".`);
+      }
+      return value;
+    default:
+      throw new Error(`Unknown setting type ${type}.`);
+  }
+}
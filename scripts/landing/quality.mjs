@@ -0,0 +1,275 @@
+// Schema validation, the data quality report and the quarantine list.
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { DEFAULT_BRAND, qualityReportTemplatePath, rootDir } from "./config.mjs";
+import { cleanText, isPlainObject, pickLocaleText } from "./normalize.mjs";
+import { PLUGIN_SLOTS, renderBrandValues, renderLoadedTemplate } from "./render.mjs";
+import { loadTemplate } from "./template.mjs";
+
+export function quarantineEntry(product, stage, error) {
+  const id = typeof product?.id === "string" || typeof product?.id === "number" ? String(product.id) : null;
+  const sku = typeof product?.sku === "string" || typeof product?.sku === "number" ? String(product.sku) : null;
+  return {
+    key: id || (sku ? `sku:${sku}` : null),
+    id,
+    sku,
+    stage,
+    error: error instanceof Error ? error.message : String(error)
+  };
+}
+
+export async function writeQuarantine(quarantine, reportDir, sourceLabel) {
+  await mkdir(reportDir, { recursive: true });
+  const body = {
+    generatedAt: new Date().toISOString(),
+    source: sourceLabel,
+    count: quarantine.length,
+    products: quarantine
+  };
+  await writeFile(path.join(reportDir, "quarantine.json"), `${JSON.stringify(body, null, 2)}\n`, "utf8");
+}
+
+export function renderQuarantineSummary(quarantine, heldKeys, reportDir) {
+  const lines = [
+    `[landing-pages] Skipped ${quarantine.length} quarantined products ` +
+      `(${heldKeys.size} kept their previous page). Details: ${path.relative(rootDir, path.join(reportDir, "quarantine.json"))}`
+  ];
+  for (const entry of quarantine.slice(0, 10)) {
+    lines.push(`  - ${entry.sku ?? entry.id ?? "(no id)"} [${entry.stage}]: ${entry.error}`);
+  }
+  if (quarantine.length > 10) {
+    lines.push(`  ... and ${quarantine.length - 10} more`);
+  }
+  return lines.join("\n");
+}
+
+// Checks every product against the LandingProductPage schema (errors) and
+// flags data the page would silently replace with a placeholder (warnings).
+// `rules` are extra checks from plugins returning { errors, warnings }.
+export function buildQualityReport(products, schema, sourceLabel, rules = []) {
+  const entries = products.map((product) => {
+    let errors;
+    let warnings;
+    try {
+      errors = validateAgainstSchema(product, schema, schema, "")
+        .map(({ path: pointer, message }) => `${pointer || "(product)"}: ${message}`);
+      warnings = errors.length > 0 && !isPlainObject(product) ? [] : collectQualityWarnings(product);
+      for (const rule of rules) {
+        const result = rule(product);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+      }
+    } catch (error) {
+      errors = [`(product): could not be checked: ${error instanceof Error ? error.message : String(error)}`];
+      warnings = [];
+    }
+    return {
+      id: isPlainObject(product) && typeof product.id === "string" ? product.id : "",
+      sku: isPlainObject(product) && typeof product.sku === "string" ? product.sku : "",
+      name: isPlainObject(product) ? reportName(product) : "",
+      errors,
+      warnings
+    };
+  });
+
+  const withErrors = entries.filter((entry) => entry.errors.length > 0).length;
+  const withWarnings = entries.filter((entry) => entry.warnings.length > 0).length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source: sourceLabel,
+    totals: {
+      products: entries.length,
+      valid: entries.length - withErrors,
+      withErrors,
+      withWarnings
+    },
+    products: entries.filter((entry) => entry.errors.length > 0 || entry.warnings.length > 0)
+  };
+}
+
+// The report lists products that may be malformed in any way, so reading the
+// name must never throw.
+function reportName(product) {
+  try {
+    return pickLocaleText(product.name, "");
+  } catch {
+    return "";
+  }
+}
+
+function collectQualityWarnings(product) {
+  const warnings = [];
+  const placeholder = (pointer, text) => warnings.push(`${pointer}: missing, the page shows "${text}"`);
+
+  if (!pickLocaleText(product.description, "")) {
+    placeholder("/description", "Sin descripción disponible.");
+  }
+  if (!pickLocaleText(product.brand?.name, "")) {
+    placeholder("/brand", "Sin marca");
+  }
+  if (!pickLocaleText(product.category?.name, "")) {
+    placeholder("/category", "Sin categoría");
+  }
+
+  const compatibilities = Array.isArray(product.compatibilities) ? product.compatibilities : [];
+  if (compatibilities.length === 0) {
+    warnings.push("/compatibilities: no compatibilities, the page shows an empty table");
+  }
+
+  compatibilities.forEach((item, index) => {
+    const base = `/compatibilities/${index}`;
+    const generation = item?.vehicleGeneration ?? {};
+    if (!cleanText(generation.generationName, "")) {
+      placeholder(`${base}/vehicleGeneration/generationName`, "N/D");
+    }
+    if (!cleanText(item?.vehicleLocation?.name, "")) {
+      placeholder(`${base}/vehicleLocation/name`, "N/D");
+    }
+  });
+
+  return warnings;
+}
+
+// Small JSON Schema subset: $ref (local), anyOf, type, required, properties,
+// additionalProperties, items, minLength, maxLength, pattern, minimum, maximum.
+function validateAgainstSchema(value, schema, rootSchema, pointer) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node?.[key], rootSchema);
+    if (!target) {
+      throw new Error(`Unknown schema reference ${schema.$ref}.`);
+    }
+    return validateAgainstSchema(value, target, rootSchema, pointer);
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) => validateAgainstSchema(value, option, rootSchema, pointer));
+    return attempts.some((issues) => issues.length === 0)
+      ? []
+      : attempts.reduce((best, issues) => (issues.length < best.length ? issues : best));
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesSchemaType(value, type))) {
+      return [{ path: pointer, message: `expected ${types.join(" or ")}, got ${describeJsonType(value)}` }];
+    }
+  }
+
+  const issues = [];
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.trim().length < schema.minLength) {
+      issues.push({ path: pointer, message: schema.minLength === 1 ? "must not be empty" : `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      issues.push({ path: pointer, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issues.push({ path: pointer, message: `"${value.slice(0, 60)}" does not match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      issues.push({ path: pointer, message: `must be at least ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      issues.push({ path: pointer, message: `must be at most ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      issues.push(...validateAgainstSchema(item, schema.items, rootSchema, `${pointer}/${index}`));
+    });
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        issues.push({ path: `${pointer}/${key}`, message: "is required" });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] ?? (isPlainObject(schema.additionalProperties) ? schema.additionalProperties : null);
+      if (childSchema) {
+        issues.push(...validateAgainstSchema(child, childSchema, rootSchema, `${pointer}/${key}`));
+      } else if (schema.additionalProperties === false && !schema.properties?.[key]) {
+        issues.push({ path: `${pointer}/${key}`, message: "is not allowed" });
+      }
+    }
+  }
+
+  return issues;
+}
+
+function matchesSchemaType(value, type) {
+  if (type === "integer") {
+    return Number.isInteger(value);
+  }
+  return describeJsonType(value) === type || (type === "number" && typeof value === "number" && Number.isFinite(value));
+}
+
+function describeJsonType(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+export async function writeQualityReport(report, reportDir, brand = DEFAULT_BRAND) {
+  const template = await loadTemplate(qualityReportTemplatePath);
+  await mkdir(reportDir, { recursive: true });
+  await writeFile(path.join(reportDir, "quality-report.json"), `${JSON.stringify(report, null, 2)}\n`, "utf8");
+  await writeFile(path.join(reportDir, "quality-report.html"), renderLoadedTemplate(template, qualityReportValues(report, reportDir, brand)), "utf8");
+}
+
+export function renderQualitySummary({ totals }, reportDir) {
+  return `[landing-pages] Quality: ${totals.withErrors} of ${totals.products} products do not match the schema, ` +
+    `${totals.withWarnings} have placeholder data. Report: ${path.relative(rootDir, path.join(reportDir, "quality-report.html"))}`;
+}
+
+export function assertQualityWithinLimit({ totals }, maxInvalidPercent, reportDir) {
+  const invalidPercent = totals.products > 0 ? (totals.withErrors / totals.products) * 100 : 0;
+  if (invalidPercent > maxInvalidPercent) {
+    throw new Error(
+      `${totals.withErrors} of ${totals.products} products (${invalidPercent.toFixed(1)}%) do not match the ` +
+      `LandingProductPage schema, above the ${maxInvalidPercent}% limit. ` +
+      `See ${path.relative(rootDir, path.join(reportDir, "quality-report.html"))}.`
+    );
+  }
+}
+
+// The report lives outside the site, so its links and assets lead to the
+// repository root, and it is not tracked by the site's analytics.
+export function qualityReportValues(report, reportDir, brand = DEFAULT_BRAND) {
+  const toRoot = path.relative(reportDir, rootDir).split(path.sep).join("/");
+  return {
+    ...PLUGIN_SLOTS,
+    ...renderBrandValues(brand),
+    GOOGLE_ANALYTICS_ID: "",
+    ASSET_PREFIX: toRoot ? `${toRoot}/` : "",
+    SOURCE: report.source,
+    GENERATED_AT: report.generatedAt,
+    PRODUCT_COUNT: report.totals.products,
+    VALID_COUNT: report.totals.valid,
+    ERROR_COUNT: report.totals.withErrors,
+    WARNING_COUNT: report.totals.withWarnings,
+    PRODUCTS: report.products.map((entry) => ({
+      sku: entry.sku || "—",
+      name: entry.name || "—",
+      id: entry.id || "sin id",
+      errors: entry.errors,
+      warnings: entry.warnings
+    }))
+  };
+}
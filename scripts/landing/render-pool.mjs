@@ -0,0 +1,93 @@
+// Renders and writes product pages on worker threads. Each worker compiles the
+// page templates once and handles batches of pages sent by the main thread.
+
+import { writeFile } from "node:fs/promises";
+import { Worker } from "node:worker_threads";
+
+import { DEFAULT_MAX_OPEN_FILES } from "./config.mjs";
+import { renderLoadedTemplate } from "./render.mjs";
+
+// Pages per message; small enough to keep every worker busy until the end.
+const BATCH_SIZE = 100;
+
+// `jobs` are { template, values, filePath, keepHtml }: the name of one of
+// `templates`, the page values, where to write the page (null to only render
+// it) and whether to send the HTML back. Resolves to one result per job, in
+// order: { html } when kept, { renderError } for a page that failed to render
+// or { writeError } for one that could not be written.
+export async function renderPages(templates, jobs, { workers = 1, maxOpenFiles = DEFAULT_MAX_OPEN_FILES } = {}) {
+  const threadCount = Math.min(workers, Math.ceil(jobs.length / BATCH_SIZE));
+  if (threadCount <= 1) {
+    return renderPageBatch(templatesByName(templates), jobs, maxOpenFiles);
+  }
+
+  const results = new Array(jobs.length);
+  const workerData = { templates, maxOpenFiles: Math.max(1, Math.floor(maxOpenFiles / threadCount)) };
+  const threads = Array.from({ length: threadCount }, () => new Worker(new URL("./render-worker.mjs", import.meta.url), { workerData }));
+  let nextJob = 0;
+
+  try {
+    await Promise.all(threads.map((thread) => new Promise((resolve, reject) => {
+      const sendBatch = () => {
+        if (nextJob >= jobs.length) {
+          resolve();
+          return;
+        }
+        const start = nextJob;
+        nextJob += BATCH_SIZE;
+        thread.postMessage({ start, jobs: jobs.slice(start, start + BATCH_SIZE) });
+      };
+      thread.on("message", ({ start, results: batch }) => {
+        batch.forEach((result, index) => {
+          results[start + index] = result;
+        });
+        sendBatch();
+      });
+      thread.on("error", reject);
+      thread.on("exit", (code) => reject(new Error(`A render worker stopped early with exit code ${code}.`)));
+      sendBatch();
+    })));
+  } finally {
+    await Promise.all(threads.map((thread) => thread.terminate()));
+  }
+  return results;
+}
+
+// Renders a batch in the current thread. Pages render one after another while
+// up to `maxOpenFiles` of them are being written.
+export async function renderPageBatch(templates, jobs, maxOpenFiles) {
+  const results = new Array(jobs.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < jobs.length) {
+      const index = next;
+      next += 1;
+      const { template, values, filePath, keepHtml } = jobs[index];
+
+      let html;
+      try {
+        html = renderLoadedTemplate(templates.get(template), values);
+      } catch (error) {
+        results[index] = { renderError: error instanceof Error ? error.message : String(error) };
+        continue;
+      }
+      if (filePath) {
+        try {
+          await writeFile(filePath, html, "utf8");
+        } catch (error) {
+          results[index] = { writeError: error.message };
+          continue;
+        }
+      }
+      results[index] = keepHtml ? { html } : {};
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(maxOpenFiles, jobs.length) }, lane));
+  return results;
+}
+
+export function templatesByName(templates) {
+  return new Map(templates.map((template) => [template.name, template]));
+}
@@ -0,0 +1,13 @@
+// Worker thread of render-pool.mjs: renders and writes the batches of product
+// pages it is sent and answers with their results.
+
+import { parentPort, workerData } from "node:worker_threads";
+
+import { renderPageBatch, templatesByName } from "./render-pool.mjs";
+
+const templates = templatesByName(workerData.templates);
+
+parentPort.on("message", async ({ start, jobs }) => {
+  const results = await renderPageBatch(templates, jobs, workerData.maxOpenFiles);
+  parentPort.postMessage({ start, results });
+});
@@ -0,0 +1,489 @@
+// Product data mapping and HTML rendering of product, catalog and retired-URL pages.
+
+import path from "node:path";
+
+import {
+  catalogTemplatePath,
+  categoryTemplatePath,
+  DEFAULT_BRAND,
+  DEFAULT_SITE_URL,
+  discontinuedTemplatePath,
+  redirectTemplatePath,
+  rootDir,
+  sitemapTemplatePath,
+  templatePath
+} from "./config.mjs";
+import { cleanText, normalizeDate, parseYear, pickLocaleText, slugify, trimTrailingSlash } from "./normalize.mjs";
+import { buildSeoDescription, buildSeoSlug, buildSeoTitle } from "./seo.mjs";
+import { hashProductData, latestChangeDate, productKey } from "./state.mjs";
+import { compileTemplate, findLeftoverTags, loadTemplate, loadTemplates } from "./template.mjs";
+
+// Slots for plugins (beforeRender), empty unless a plugin fills them.
+export const PLUGIN_SLOTS = Object.freeze({ HEAD_EXTRA: "", BODY_END_EXTRA: "" });
+
+// The template of every generated page type. They all render inside
+// templates/layouts/base.html. `templateRules` (see selectProductTemplate) add
+// product templates; a file named by several rules is loaded once.
+export async function loadPageTemplates(templateRules = []) {
+  const rulePaths = [...new Set(templateRules.map((rule) => path.resolve(rootDir, rule.template)))];
+  let loaded;
+  try {
+    loaded = await loadTemplates([
+      templatePath,
+      catalogTemplatePath,
+      categoryTemplatePath,
+      sitemapTemplatePath,
+      redirectTemplatePath,
+      discontinuedTemplatePath,
+      ...rulePaths
+    ]);
+  } catch (error) {
+    throw new Error(`Could not load the page templates: ${error.message}`);
+  }
+  const [product, catalog, category, sitemap, redirect, discontinued, ...ruleTemplates] = loaded;
+  const rules = templateRules.map((rule) => ({
+    ...rule,
+    template: ruleTemplates[rulePaths.indexOf(path.resolve(rootDir, rule.template))]
+  }));
+  return { product, catalog, category, sitemap, redirect, discontinued, rules };
+}
+
+// The template of one product page: the first rule whose conditions all match,
+// otherwise the default product template. Categories and attributes compare by
+// slug, so "Cerraduras" matches "cerraduras"; SKU patterns may use * and ? and
+// ignore case. An attribute condition of true matches any value.
+export function selectProductTemplate(templates, pageData) {
+  const rule = templates.rules.find((candidate) => matchesTemplateRule(candidate, pageData));
+  return rule ? rule.template : templates.product;
+}
+
+function matchesTemplateRule(rule, pageData) {
+  if (rule.category && !rule.category.some((category) => slugify(category) === slugify(pageData.pageMeta.category))) {
+    return false;
+  }
+  if (rule.sku && !rule.sku.some((pattern) => skuPattern(pattern).test(pageData.pageMeta.sku))) {
+    return false;
+  }
+  if (rule.attribute) {
+    const attributes = pageData.templateValues.ATTRIBUTES;
+    return Object.entries(rule.attribute).every(([name, values]) => attributes.some((attribute) =>
+      slugify(attribute.name) === slugify(name) &&
+      (values === true || values.some((value) => slugify(value) === slugify(attribute.value)))
+    ));
+  }
+  return true;
+}
+
+function skuPattern(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => (char === "*" ? ".*" : char === "?" ? "." : char.replace(/[\\^$.|+()[\]{}]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+export function renderMappedPage(template, pageData, categoryMap, extraValues = {}) {
+  return renderLoadedTemplate(template, productPageValues(pageData, categoryMap, extraValues));
+}
+
+// The values of one product page; related products come from its category.
+export function productPageValues(pageData, categoryMap, extraValues = {}) {
+  const cat = pageData.pageMeta.category || "General";
+  const sameCat = categoryMap[cat] || [];
+  const related = sameCat.filter(p => p.pageMeta.id !== pageData.pageMeta.id).slice(0, 4);
+
+  return Object.assign(
+    { ...PLUGIN_SLOTS },
+    pageData.templateValues,
+    { RELATED_PRODUCTS: related.map((p) => ({ ...p.pageMeta, fileName: p.fileName })) },
+    extraValues
+  );
+}
+
+// Renders one product on its own, e.g. for a preview in the ERP admin. Related
+// products are only shown when they are passed in.
+export async function renderProductPage(product, { siteUrl = DEFAULT_SITE_URL, imageBaseUrl, brand = DEFAULT_BRAND, template, relatedProducts = [] } = {}) {
+  const baseUrl = trimTrailingSlash(siteUrl);
+  const mapOptions = {
+    baseUrl,
+    imageBaseUrl: trimTrailingSlash(imageBaseUrl ?? baseUrl),
+    usedFileNames: new Set(),
+    brand
+  };
+  const pageData = mapProductToTemplateData(product, mapOptions);
+  const related = relatedProducts.map((item) => mapProductToTemplateData(item, mapOptions));
+  const category = pageData.pageMeta.category || "General";
+  const defaultTemplate = await loadTemplate(templatePath);
+  const pageTemplate = template == null ? defaultTemplate : { ...defaultTemplate, name: "template", source: template };
+  const html = renderMappedPage(pageTemplate, pageData, { [category]: [pageData, ...related] }, renderBrandValues(brand));
+
+  return { fileName: pageData.fileName, html, pageMeta: pageData.pageMeta };
+}
+
+export function mapProductToTemplateData(product, { baseUrl, imageBaseUrl, outputOverride, usedFileNames, slugRegistry = null, brand: siteBrand = DEFAULT_BRAND }) {
+  const productName = pickLocaleText(product.name, "Producto sin nombre");
+  const productDescription = pickLocaleText(product.description, "Sin descripción disponible.");
+  const sku = cleanText(product.sku, "N/A");
+  const brand = pickLocaleText(product.brand?.name, "Sin marca");
+  const category = pickLocaleText(product.category?.name, "Sin categoría");
+  const compatibilities = Array.isArray(product.compatibilities) ? product.compatibilities : [];
+  const attributes = product.attributes ?? {};
+  const preferredSlug = buildSeoSlug(productName, sku, compatibilities) || slugify(product.id) || "producto";
+  const preferredFileName = outputOverride ?? `${preferredSlug}.html`;
+  const pinnedFileName = outputOverride ? null : slugRegistry?.slugs[productKey({ id: String(product.id ?? ""), sku })]?.fileName;
+  const fileName = pinnedFileName ?? ensureUniqueFileName(preferredFileName, usedFileNames, product.id);
+  const canonicalUrl = `${baseUrl}/products/${fileName}`;
+  const productImageUrl = `${imageBaseUrl ?? baseUrl}/${sku}.jpg`;
+  const productImageAlt = cleanText(product.image?.alt, `Imagen de ${productName}`);
+  const wholesaleCtaUrl = cleanText(product.wholesaleCtaUrl, siteBrand.customerAreaUrl);
+  const wholesaleCtaText = cleanText(product.wholesaleCtaText, siteBrand.wholesaleCtaText);
+  const currentYear = new Date().getUTCFullYear();
+
+  const brands = new Set();
+  const models = new Set();
+  const years = new Set();
+  const locations = new Set();
+
+  const compatibilityRows = compatibilities.map((item) => {
+    const vehicleGeneration = item.vehicleGeneration ?? {};
+    const vehicleModel = vehicleGeneration.vehicleModel ?? {};
+    const vehicleBrand = vehicleModel.vehicleBrand ?? {};
+
+    const compBrand = cleanText(vehicleBrand.name, "N/D");
+    const compModel = cleanText(vehicleModel.name, "N/D");
+    const compGeneration = cleanText(vehicleGeneration.generationName, "N/D");
+    const compLocation = cleanText(item.vehicleLocation?.name, "N/D");
+    const yearStart = parseYear(vehicleGeneration.yearStart) ?? currentYear;
+    const yearEndValue = parseYear(vehicleGeneration.yearEnd);
+    const yearEnd = Math.max(yearStart, yearEndValue ?? currentYear);
+    const yearEndLabel = yearEndValue == null ? "Actual" : String(yearEnd);
+
+    brands.add(compBrand);
+    models.add(compModel);
+    locations.add(compLocation);
+
+    for (let y = yearStart; y <= yearEnd; y += 1) {
+      years.add(y);
+    }
+
+    return {
+      brand: compBrand,
+      model: compModel,
+      generation: compGeneration,
+      location: compLocation,
+      yearStart,
+      yearEnd,
+      yearEndLabel
+    };
+  });
+
+  const seoTitle = buildSeoTitle(productName, compatibilities, siteBrand);
+  const seoDescription = buildSeoDescription(productName, productDescription, sku, category, compatibilities, siteBrand);
+  const compatibilityCountLabel = `${compatibilities.length} compatibilidades`;
+
+  const vehicleCompat = compatibilities.map((item) => {
+    const vg = item.vehicleGeneration ?? {};
+    const vm = vg.vehicleModel ?? {};
+    const vb = vm.vehicleBrand ?? {};
+    const ys = parseYear(vg.yearStart) ?? currentYear;
+    const yeRaw = parseYear(vg.yearEnd);
+    const ye = Math.max(ys, yeRaw ?? currentYear);
+    return { b: cleanText(vb.name, "N/D"), m: cleanText(vm.name, "N/D"), ys, ye };
+  });
+
+  const schema = {
+    "@context": "https://schema.org",
+    "@type": "Product",
+    name: productName,
+    description: productDescription,
+    sku,
+    category,
+    image: productImageUrl,
+    brand: {
+      "@type": "Brand",
+      name: brand
+    },
+    additionalProperty: Object.entries(attributes).map(([key, value]) => ({
+      "@type": "PropertyValue",
+      name: String(key),
+      value: String(value)
+    })),
+    isCompatibleWith: compatibilities.map((item) => {
+      const vehicleGeneration = item.vehicleGeneration ?? {};
+      const vehicleModel = vehicleGeneration.vehicleModel ?? {};
+      const vehicleBrand = vehicleModel.vehicleBrand ?? {};
+      const start = parseYear(vehicleGeneration.yearStart) ?? currentYear;
+      const endValue = parseYear(vehicleGeneration.yearEnd);
+      const end = Math.max(start, endValue ?? currentYear);
+      const generationName = cleanText(vehicleGeneration.generationName, "");
+      const parts = [vehicleBrand.name, vehicleModel.name, generationName, `${start}-${endValue == null ? "Actual" : end}`]
+        .filter(Boolean)
+        .map((part) => String(part).trim());
+      return parts.join(" ");
+    })
+  };
+
+  return {
+    fileName,
+    dataHash: hashProductData(product),
+    pageMeta: {
+      id: String(product.id ?? ""),
+      fileName,
+      url: canonicalUrl,
+      title: productName,
+      description: productDescription,
+      sku,
+      brand,
+      category,
+      vehicleCompat,
+      imageUrl: productImageUrl,
+      updatedAt: normalizeDate(product.updatedAt)
+    },
+    templateValues: {
+      SEO_TITLE: singleLine(seoTitle),
+      SEO_DESCRIPTION: singleLine(seoDescription),
+      CANONICAL_URL: singleLine(canonicalUrl),
+      OG_IMAGE_URL: singleLine(productImageUrl),
+      ASSET_PREFIX: "../",
+      PRODUCT_JSON_LD: safeJsonLd(schema),
+      PRODUCT_NAME: productName,
+      PRODUCT_DESCRIPTION: productDescription,
+      PRODUCT_SKU: sku,
+      PRODUCT_BRAND: brand,
+      PRODUCT_CATEGORY: category,
+      PRODUCT_IMAGE_URL: singleLine(productImageUrl),
+      PRODUCT_IMAGE_ALT: singleLine(productImageAlt),
+      WHOLESALE_CTA_URL: singleLine(wholesaleCtaUrl),
+      WHOLESALE_CTA_TEXT: wholesaleCtaText,
+      ATTRIBUTES: Object.entries(attributes).map(([key, value]) => ({ name: String(key), value: String(value) })),
+      FILTER_BRANDS: sortOptions(brands),
+      FILTER_MODELS: sortOptions(models),
+      FILTER_YEARS: sortOptions(years),
+      FILTER_LOCATIONS: sortOptions(locations),
+      COMPATIBILITIES: compatibilityRows,
+      COMPATIBILITY_COUNT_LABEL: compatibilityCountLabel
+    }
+  };
+}
+
+function resolveImageCandidate(product) {
+  const firstGalleryImage = Array.isArray(product.images) && product.images.length > 0
+    ? (product.images[0]?.url ?? product.images[0])
+    : null;
+
+  return product.image?.url ?? product.imageUrl ?? firstGalleryImage ?? "/img/intro-discor.jpg";
+}
+
+function ensureUniqueFileName(preferredFileName, usedFileNames, productId) {
+  const normalizedPreferred = preferredFileName.endsWith(".html") ? preferredFileName : `${preferredFileName}.html`;
+  const base = normalizedPreferred.replace(/\.html$/, "");
+  const fallback = slugify(productId) || "producto";
+
+  let candidate = normalizedPreferred;
+  let suffix = 2;
+
+  while (usedFileNames.has(candidate)) {
+    candidate = `${base}-${fallback.slice(0, 8)}-${suffix}.html`;
+    suffix += 1;
+  }
+
+  usedFileNames.add(candidate);
+  return candidate;
+}
+
+// Site-wide template tokens, kept out of templateValues, which only describe
+// the product.
+export function renderBrandValues(brand = DEFAULT_BRAND) {
+  return {
+    BRAND_NAME: singleLine(brand.name),
+    BRAND_CITY: brand.city,
+    BRAND_SITE_NAME: singleLine(brand.siteName),
+    CUSTOMER_AREA_URL: singleLine(brand.customerAreaUrl),
+    CUSTOMER_AREA_LABEL: brand.customerAreaLabel,
+    WHATSAPP_NUMBER: brand.whatsappNumber,
+    WHATSAPP_GREETING: encodeURIComponent(`Hola ${brand.name}, consulto por el SKU `),
+    GOOGLE_ANALYTICS_ID: brand.googleAnalyticsId
+  };
+}
+
+export function renderSearchIndex(pages) {
+  const entries = pages.map((page) => ({
+    url: page.fileName,
+    name: page.title,
+    sku: page.sku,
+    brand: page.brand,
+    category: page.category,
+    description: page.description,
+    vehicleCompat: page.vehicleCompat ?? []
+  }));
+  return JSON.stringify(entries);
+}
+
+export function renderProductIndexPage(template, pages, siteUrl, brand = DEFAULT_BRAND) {
+  return renderLoadedTemplate(template, productIndexValues(pages, siteUrl, brand));
+}
+
+export function renderCategoryPage(template, pages, categoryName, siteUrl, brand = DEFAULT_BRAND) {
+  return renderLoadedTemplate(template, categoryPageValues(pages, categoryName, siteUrl, brand));
+}
+
+export function productIndexValues(pages, siteUrl, brand = DEFAULT_BRAND) {
+  return {
+    ...catalogValues(pages, brand, "./"),
+    ASSET_PREFIX: "../",
+    CANONICAL_URL: singleLine(`${siteUrl}/products/`),
+    CATEGORIES: sortOptions(new Set(pages.map((page) => page.category)))
+  };
+}
+
+export function categoryPageValues(pages, categoryName, siteUrl, brand = DEFAULT_BRAND) {
+  return {
+    ...catalogValues(pages, brand, "../"),
+    ASSET_PREFIX: "../../",
+    CANONICAL_URL: singleLine(`${siteUrl}/products/category/${slugify(categoryName)}.html`),
+    CATEGORY_NAME: categoryName,
+    // A category page has no category filter.
+    CATEGORIES: []
+  };
+}
+
+// Values shared by the catalog and the category pages. `linkPrefix` leads from
+// the page to the product pages.
+function catalogValues(pages, brand, linkPrefix) {
+  const sorted = pages.slice().sort((a, b) => a.title.localeCompare(b.title, "es"));
+
+  // Vehicle brand → models and brand → model → years, for the vehicle filters.
+  const brandModels = {};
+  const modelYears = {};
+  for (const page of sorted) {
+    for (const c of (page.vehicleCompat ?? [])) {
+      brandModels[c.b] ??= new Set();
+      brandModels[c.b].add(c.m);
+      modelYears[c.b] ??= {};
+      modelYears[c.b][c.m] ??= new Set();
+      for (let y = c.ys; y <= c.ye; y++) modelYears[c.b][c.m].add(y);
+    }
+  }
+  for (const [b, models] of Object.entries(brandModels)) {
+    brandModels[b] = sortOptions(models);
+    for (const [m, years] of Object.entries(modelYears[b])) {
+      modelYears[b][m] = [...years].sort((a, b) => b - a);
+    }
+  }
+
+  return {
+    ...PLUGIN_SLOTS,
+    ...renderBrandValues(brand),
+    PRODUCTS: sorted.map((page) => ({
+      href: singleLine(`${linkPrefix}${page.fileName}`),
+      title: page.title,
+      nameKey: singleLine(page.title.toLowerCase()),
+      sku: page.sku,
+      skuKey: singleLine(page.sku.toLowerCase()),
+      brand: singleLine(page.brand),
+      category: singleLine(page.category),
+      description: page.description,
+      imageUrl: singleLine(page.imageUrl ?? ""),
+      compat: JSON.stringify(page.vehicleCompat ?? []),
+      isNew: Boolean(page.isNew)
+    })),
+    PRODUCT_COUNT: pages.length,
+    LAST_UPDATED: latestChangeDate(pages),
+    VEHICLE_BRANDS: Object.keys(brandModels).sort((a, b) => a.localeCompare(b, "es")),
+    BRAND_MODELS_JSON: safeJsonLd(brandModels),
+    MODEL_YEARS_JSON: safeJsonLd(modelYears)
+  };
+}
+
+// Render functions of the loaded templates, compiled on first use.
+const compiledTemplates = new WeakMap();
+
+// Renders a page of the site. Template tags left in the page (a value missing
+// for this page only) fail it, so they never reach the published site.
+export function renderLoadedTemplate(template, values) {
+  if (!compiledTemplates.has(template)) {
+    compiledTemplates.set(template, compileTemplate(template.source, { partials: template.partials, layouts: template.layouts, name: template.name }));
+  }
+  const html = compiledTemplates.get(template)(values);
+  const leftovers = findLeftoverTags(html);
+  if (leftovers.length > 0) {
+    throw new Error(`${template.name}: the rendered page still contains ${leftovers.join(", ")}.`);
+  }
+  return html;
+}
+
+function sortOptions(values) {
+  return Array.from(values, String).sort((a, b) => a.localeCompare(b, "es"));
+}
+
+// Values used in attributes stay on one line.
+function singleLine(value) {
+  return String(value).replaceAll("\n", " ").replaceAll("\r", " ");
+}
+
+// JSON inside <script>: no closing tag and no "{{" that would read as a
+// leftover template tag.
+function safeJsonLd(value) {
+  return JSON.stringify(value).replaceAll("</script", "<\\/script").replaceAll("{{", "{\\u007b");
+}
+
+export function renderHtmlSitemap(template, pages, siteUrl, brand = DEFAULT_BRAND) {
+  return renderLoadedTemplate(template, htmlSitemapValues(pages, siteUrl, brand));
+}
+
+export function htmlSitemapValues(pages, siteUrl, brand = DEFAULT_BRAND) {
+  const categories = {};
+  for (const p of pages) {
+    const c = p.category || "Otros";
+    if (!categories[c]) categories[c] = [];
+    categories[c].push(p);
+  }
+
+  return {
+    ...PLUGIN_SLOTS,
+    ...renderBrandValues(brand),
+    ASSET_PREFIX: "../",
+    CANONICAL_URL: singleLine(`${siteUrl}/products/sitemap.html`),
+    // Only categories with a category page get a link (see generateCategoryPages).
+    CATEGORIES: Object.keys(categories).sort().map((name) => ({
+      name,
+      slug: name === "Otros" || name === "Sin categoría" ? null : slugify(name),
+      pages: categories[name].map((page) => ({ fileName: singleLine(page.fileName), title: page.title }))
+    }))
+  };
+}
+
+export function renderRedirectPage(template, target, siteUrl, brand = DEFAULT_BRAND) {
+  return renderLoadedTemplate(template, redirectPageValues(target, siteUrl, brand));
+}
+
+export function redirectPageValues(target, siteUrl, brand = DEFAULT_BRAND) {
+  return {
+    ...PLUGIN_SLOTS,
+    ...renderBrandValues(brand),
+    ASSET_PREFIX: "../",
+    CANONICAL_URL: singleLine(`${siteUrl}/products/${target.fileName}`),
+    TARGET_FILE_NAME: singleLine(target.fileName),
+    TARGET_TITLE: target.title
+  };
+}
+
+export function renderDiscontinuedPage(template, product, alternatives, siteUrl, brand = DEFAULT_BRAND) {
+  return renderLoadedTemplate(template, discontinuedPageValues(product, alternatives, siteUrl, brand));
+}
+
+// `product` is the discontinued entry of the slug registry with its fileName.
+// The category link only shows when the category still has products.
+export function discontinuedPageValues(product, alternatives, siteUrl, brand = DEFAULT_BRAND) {
+  return {
+    ...PLUGIN_SLOTS,
+    ...renderBrandValues(brand),
+    ASSET_PREFIX: "../",
+    CANONICAL_URL: singleLine(`${siteUrl}/products/${product.fileName ?? ""}`),
+    PRODUCT_TITLE: product.title ?? "Producto discontinuado",
+    PRODUCT_SKU: product.sku ?? "",
+    CATEGORY_NAME: product.category ?? "",
+    CATEGORY_SLUG: product.category && alternatives.length > 0 ? slugify(product.category) : "",
+    ALTERNATIVES: alternatives.map((page) => ({ fileName: singleLine(page.fileName), title: page.title, sku: page.sku }))
+  };
+}
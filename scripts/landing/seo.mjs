@@ -0,0 +1,149 @@
+// SEO titles, descriptions, slugs, sitemap.xml and robots.txt.
+
+import { DEFAULT_BRAND } from "./config.mjs";
+import { parseYear, pickLocaleText, slugify } from "./normalize.mjs";
+import { latestChangeDate } from "./state.mjs";
+
+export function renderSitemapXml(pages, siteUrl) {
+  const catalogLastmod = latestChangeDate(pages);
+  const staticUrls = [
+    { loc: `${siteUrl}/`, lastmod: catalogLastmod },
+    { loc: `${siteUrl}/products/`, lastmod: catalogLastmod }
+  ];
+
+  const productUrls = pages.map((page) => ({
+    loc: `${siteUrl}/products/${page.fileName}`,
+    lastmod: page.lastChanged ?? page.updatedAt ?? catalogLastmod
+  }));
+
+  const allUrls = [...staticUrls, ...productUrls];
+
+  const xmlItems = allUrls
+    .map((item) => {
+      return [
+        "  <url>",
+        `    <loc>${escapeXml(item.loc)}</loc>`,
+        `    <lastmod>${escapeXml(item.lastmod)}</lastmod>`,
+        "  </url>"
+      ].join("\n");
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${xmlItems}
+</urlset>
+`;
+}
+
+export function renderRobotsTxt(siteUrl) {
+  return [
+    "User-agent: *",
+    "Allow: /",
+    "",
+    `Sitemap: ${siteUrl}/sitemap.xml`,
+    ""
+  ].join("\n");
+}
+
+export function buildSeoDescription(productName, description, sku, category, compatibilities, brand = DEFAULT_BRAND) {
+  const seen = new Set();
+  const models = [];
+  for (const item of compatibilities) {
+    if (models.length >= 3) break;
+    const vg = item.vehicleGeneration ?? {};
+    const vm = vg.vehicleModel ?? {};
+    const vb = vm.vehicleBrand ?? {};
+    const brandName = pickLocaleText(vb.name, "");
+    const modelName = pickLocaleText(vm.name, "");
+    const ys = parseYear(vg.yearStart);
+    const ye = parseYear(vg.yearEnd);
+    if (!modelName) continue;
+    const key = `${brandName}|${modelName}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const yearStr = ys ? (ye ? ` ${ys}-${ye}` : ` ${ys}`) : "";
+    models.push(`${[brandName, modelName].filter(Boolean).join(" ")}${yearStr}`);
+  }
+  const parts = [];
+  if (description && description !== "Sin descripción disponible.") parts.push(description);
+  if (models.length > 0) parts.push(`Compatible con ${models.join(", ")}.`);
+  parts.push(`SKU ${sku}. Categoría: ${category}. ${brand.siteName} ${brand.city}.`);
+  const full = parts.join(" ");
+  return full.length <= 155 ? full : `${full.slice(0, 152)}...`;
+}
+
+export function buildSeoTitle(productName, compatibilities, brand = DEFAULT_BRAND) {
+  const seen = new Set();
+  const labels = [];
+  for (const item of compatibilities) {
+    if (labels.length >= 2) break;
+    const vg = item.vehicleGeneration ?? {};
+    const vm = vg.vehicleModel ?? {};
+    const vb = vm.vehicleBrand ?? {};
+    const brandName = pickLocaleText(vb.name, "");
+    const modelName = pickLocaleText(vm.name, "");
+    const ys = parseYear(vg.yearStart);
+    const ye = parseYear(vg.yearEnd);
+    if (!modelName || !ys) continue;
+    const key = `${brandName}|${modelName}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const yearStr = ye ? `${ys}-${ye}` : String(ys);
+    labels.push([brandName, modelName, yearStr].filter(Boolean).join(" "));
+  }
+  if (labels.length === 0) return `${productName} | ${brand.siteName}`;
+  const forStr = `para ${labels.join(" y ")}`;
+  const full = `${productName} ${forStr} | ${brand.siteName}`;
+  if (full.length <= 70) return full;
+  const short = `${productName} para ${labels[0]} | ${brand.name}`;
+  return short.length <= 70 ? short : `${productName} | ${brand.siteName}`;
+}
+
+export function buildSeoSlug(productName, sku, compatibilities) {
+  const namePart = slugify(productName);
+  const skuPart = slugify(sku);
+  const seen = new Set();
+  const compatParts = [];
+  for (const item of compatibilities) {
+    if (compatParts.length >= 2) break;
+    const vg = item.vehicleGeneration ?? {};
+    const vm = vg.vehicleModel ?? {};
+    const modelName = pickLocaleText(vm.name, "");
+    const ys = parseYear(vg.yearStart);
+    const ye = parseYear(vg.yearEnd);
+    if (!modelName || !ys) continue;
+    if (seen.has(modelName)) continue;
+    seen.add(modelName);
+    const yearStr = ye ? `${ys}-a-${ye}` : String(ys);
+    compatParts.push(slugify(`${modelName}-${yearStr}`));
+  }
+  return [namePart, ...compatParts, skuPart].filter(Boolean).join("-");
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function resolveAbsoluteUrl(candidate, baseUrl) {
+  if (typeof candidate !== "string" || candidate.trim() === "") {
+    return `${baseUrl}/img/intro-discor.jpg`;
+  }
+
+  const value = candidate.trim();
+  if (value.startsWith("http://") || value.startsWith("https://")) {
+    return value;
+  }
+
+  if (value.startsWith("/")) {
+    return `${baseUrl}${value}`;
+  }
+
+  const normalizedPath = value.replace(/^\.?\//, "");
+  return `${baseUrl}/${normalizedPath}`;
+}
@@ -0,0 +1,94 @@
+// Local preview server for a built site.
+
+import { readFile, stat } from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+
+import { rootDir } from "./config.mjs";
+import { logDebug, logInfo } from "./log.mjs";
+import { resolveSettings } from "./project-config.mjs";
+
+export const DEFAULT_SERVE_PORT = 4030;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2"
+};
+
+// Serves --out-dir on localhost. Files missing there (css/, img/, fonts/ of a
+// build under build/) fall back to the repository root. Resolves with the
+// listening server.
+export async function serveSite(serveOptions = {}) {
+  const { settings } = await resolveSettings(serveOptions);
+  const siteDir = path.resolve(rootDir, settings.outDir);
+  const roots = siteDir === rootDir ? [siteDir] : [siteDir, rootDir];
+  const port = serveOptions.port ?? DEFAULT_SERVE_PORT;
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const file = request.method === "GET" || request.method === "HEAD"
+      ? await resolveRequestedFile(roots, url.pathname)
+      : null;
+    const status = file ? 200 : (request.method === "GET" || request.method === "HEAD" ? 404 : 405);
+    logDebug(`[landing-pages] ${request.method} ${url.pathname} -> ${status}`);
+
+    if (!file) {
+      response.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+      response.end(status === 404 ? "Not found.\n" : "Method not allowed.\n");
+      return;
+    }
+
+    response.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(file).toLowerCase()] ?? "application/octet-stream",
+      "Cache-Control": "no-store"
+    });
+    response.end(request.method === "HEAD" ? undefined : await readFile(file));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  logInfo(`[landing-pages] Serving ${path.relative(rootDir, siteDir) || "."} at http://localhost:${server.address().port}/products/`);
+  return server;
+}
+
+async function resolveRequestedFile(roots, encodedPathname) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(encodedPathname);
+  } catch {
+    return null;
+  }
+
+  for (const root of roots) {
+    const candidate = path.resolve(root, `.${pathname}`);
+    if (candidate !== root && !candidate.startsWith(`${root}${path.sep}`)) {
+      return null;
+    }
+
+    const info = await stat(candidate).catch(() => null);
+    if (info?.isFile()) {
+      return candidate;
+    }
+    if (info?.isDirectory()) {
+      const index = path.join(candidate, "index.html");
+      if ((await stat(index).catch(() => null))?.isFile()) {
+        return index;
+      }
+    }
+  }
+  return null;
+}
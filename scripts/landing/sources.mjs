@@ -0,0 +1,299 @@
+// Loading products from the API, JSON files, spreadsheets and the API snapshot.
+
+import { mkdir, readdir, readFile, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  buildLandingPageUrl,
+  buildLandingProductUrl,
+  createApiClient,
+  createApiPageFetcher,
+  createReplayPageFetcher,
+  describeFetchSettings,
+  fetchAllLandingProducts,
+  openCheckpoint,
+  resolveCheckpointDir
+} from "./api.mjs";
+import { DEFAULT_API_LIMIT, SNAPSHOT_VERSION, defaultInputPath, rootDir } from "./config.mjs";
+import { logInfo, logWarn } from "./log.mjs";
+import { dedupeProducts, normalizeProducts } from "./normalize.mjs";
+import { readSpreadsheetProducts } from "./spreadsheet.mjs";
+import { productKey } from "./state.mjs";
+
+export function describeSource(source, args) {
+  if (source === "api") {
+    return args.replay ? `API recording ${args.replay}` : "API";
+  }
+  return args.input ?? path.relative(rootDir, defaultInputPath);
+}
+
+export function resolveSource(args) {
+  if (args.source) {
+    return args.source;
+  }
+
+  if (args.replay || args.apiBaseUrl) {
+    return "api";
+  }
+
+  return "file";
+}
+
+// A build passes its `quarantine` list so spreadsheet rows that cannot be
+// imported are quarantined instead of stopping it, and a `snapshotState` object
+// that API loads fill with the time of the last full sync for the snapshot.
+export async function loadProducts(args, source = resolveSource(args), { quarantine = null, snapshotState = null } = {}) {
+  if (source === "api") {
+    const maxPages = args.maxPages ?? null;
+    const syncMode = args.sync;
+    // A recording holds the pages of the run that made it, while an incremental
+    // sync asks for the changes since the current snapshot and may fall back to
+    // a full sync.
+    if (args.replay && syncMode === "incremental") {
+      throw new Error("--replay cannot be combined with --sync incremental; replay recordings with --sync full.");
+    }
+    const fetchPage = args.replay
+      ? await createReplayPageFetcher(path.resolve(rootDir, args.replay))
+      : await createApiPageFetcher(args);
+    // Replays are local, so only live API runs keep a checkpoint.
+    const checkpoint = args.replay
+      ? null
+      : await openCheckpoint(resolveCheckpointDir(args), { resume: Boolean(args.resume), fetchSettings: describeFetchSettings(args) });
+    const fetchOptions = { fetchPage, maxPages, checkpoint, concurrency: args.concurrency };
+
+    if (syncMode === "incremental") {
+      const snapshot = await readSnapshot(resolveSnapshotPath(args));
+      if (!snapshot) {
+        logWarn("[landing-pages] No usable snapshot found. Running a full sync.");
+      } else if (isFullSyncDue(snapshot, args.fullSyncAfterHours)) {
+        logInfo(`[landing-pages] Last full sync ${snapshot.fullSyncAt ? `was at ${snapshot.fullSyncAt}` : "is not recorded"}. Running a full sync.`);
+      } else {
+        const products = await syncLandingProductsIncrementally(fetchOptions, snapshot);
+        if (products) {
+          if (snapshotState) {
+            snapshotState.fullSyncAt = snapshot.fullSyncAt;
+          }
+          return products;
+        }
+      }
+    }
+
+    const fullSyncAt = new Date().toISOString();
+    const { products } = await fetchAllLandingProducts(fetchOptions);
+    if (syncMode === "incremental") {
+      warnWithoutUpdatedAt(products);
+    }
+    if (snapshotState) {
+      snapshotState.fullSyncAt = fullSyncAt;
+    }
+    return products;
+  }
+
+  if (source === "csv" || source === "xlsx") {
+    if (!args.input) {
+      throw new Error(`--source ${source} requires --input with the spreadsheet path.`);
+    }
+    return await readSpreadsheetProducts(path.resolve(rootDir, args.input), source, { quarantine });
+  }
+
+  const inputPath = path.resolve(rootDir, args.input ?? path.relative(rootDir, defaultInputPath));
+  return await readProductFiles(inputPath);
+}
+
+// Accepts one JSON file (a product, an array or a { data } payload) or a
+// directory of such files, read in file name order.
+async function readProductFiles(inputPath) {
+  const info = await stat(inputPath);
+  const files = info.isDirectory()
+    ? (await readdir(inputPath)).filter((name) => name.endsWith(".json")).sort().map((name) => path.join(inputPath, name))
+    : [inputPath];
+
+  const products = [];
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not parse ${path.relative(rootDir, file)}: ${error.message}`);
+    }
+    products.push(...normalizeProducts(parsed));
+  }
+
+  return dedupeProducts(products);
+}
+
+// Resolves to the snapshot merged with the products changed since its cursor,
+// or to null when only a full sync gives the current catalog.
+async function syncLandingProductsIncrementally(fetchOptions, snapshot) {
+  logInfo(`[landing-pages] Incremental sync of products updated since ${snapshot.cursor}.`);
+
+  const { products: changed, totalItems } = await fetchAllLandingProducts({
+    ...fetchOptions,
+    updatedSince: snapshot.cursor
+  });
+  const merged = mergeSnapshotProducts(snapshot.products, changed);
+
+  // The snapshot never loses entries, so a count above the API total means
+  // products were deactivated since the last run and only a full sync sees that.
+  if (totalItems != null && merged.length !== totalItems) {
+    logWarn(`[landing-pages] Snapshot has ${merged.length} products but the API reports ${totalItems}. Running a full sync.`);
+    return null;
+  }
+
+  // The first page fetched always overlaps the snapshot, so only products whose
+  // data differs from the snapshot count as changed.
+  const previous = new Map(snapshot.products.map((product) => [snapshotKey(product), JSON.stringify(product)]));
+  const changedCount = changed.filter((product) => previous.get(snapshotKey(product)) !== JSON.stringify(product)).length;
+  logInfo(`[landing-pages] ${changedCount} changed products merged into snapshot of ${merged.length} (${changed.length} fetched).`);
+  warnWithoutUpdatedAt(merged);
+  return merged;
+}
+
+// The count check misses a deactivation when a product the incremental pages
+// never reach (one reactivated with an old updatedAt) takes its place, so a
+// full sync also runs once the last one is fullSyncAfterHours old.
+function isFullSyncDue(snapshot, fullSyncAfterHours, now = Date.now()) {
+  const fullSyncAt = Date.parse(snapshot.fullSyncAt);
+  return !Number.isFinite(fullSyncAt) || now - fullSyncAt >= fullSyncAfterHours * 60 * 60_000;
+}
+
+// Incremental sync relies on the updatedAt field of the API contract. Without it
+// the snapshot gets no cursor and every run silently becomes a full sync.
+function warnWithoutUpdatedAt(products) {
+  const missing = products.filter((product) => !Number.isFinite(Date.parse(product?.updatedAt))).length;
+  if (missing > 0) {
+    logWarn(
+      `[landing-pages] ${missing} of ${products.length} API products have no valid updatedAt. ` +
+      "--sync incremental needs it (see LANDING_PAGE_API.md) and falls back to a full sync until the API sends it."
+    );
+  }
+}
+
+// Fetches only the requested products and merges them into the snapshot of the
+// last API build, which stands in for every product that was not requested.
+export async function loadTargetedProducts(args) {
+  const snapshotFile = resolveSnapshotPath(args);
+  const snapshot = await readSnapshot(snapshotFile);
+  if (!snapshot) {
+    throw new Error(`--sku and --product-id need the snapshot of a previous API build (${path.relative(rootDir, snapshotFile)}). Run a full API build first.`);
+  }
+
+  const { apiBaseUrl, apiPath, request } = createApiClient(args);
+  const updated = [];
+  const removed = [];
+
+  for (const productId of args.productIds ?? []) {
+    try {
+      updated.push(await request(buildLandingProductUrl(apiBaseUrl, apiPath, productId)));
+      logInfo(`[landing-pages] Fetched product ${productId}.`);
+    } catch (error) {
+      if (error?.status !== 404) {
+        throw error;
+      }
+      removed.push({ id: productId });
+      logInfo(`[landing-pages] Product ${productId} is no longer listed by the API.`);
+    }
+  }
+
+  for (const sku of args.skus ?? []) {
+    const matches = normalizeProducts(await request(buildLandingPageUrl(apiBaseUrl, apiPath, 1, DEFAULT_API_LIMIT, { sku })));
+    if (matches.length === 0) {
+      removed.push({ sku });
+      logInfo(`[landing-pages] SKU ${sku} is no longer listed by the API.`);
+    } else {
+      updated.push(...matches);
+      logInfo(`[landing-pages] Fetched SKU ${sku}.`);
+    }
+  }
+
+  const isRemoved = (product) => removed.some((target) => {
+    return target.id ? product?.id === target.id : product?.sku === target.sku;
+  });
+  const previousProducts = snapshot.products.filter((product) => !isRemoved(product));
+  const removedProducts = snapshot.products.filter(isRemoved);
+
+  return {
+    products: mergeSnapshotProducts(previousProducts, updated),
+    cursor: snapshot.cursor,
+    fullSyncAt: snapshot.fullSyncAt ?? null,
+    snapshotFile,
+    updatedKeys: new Set(updated.map((product) => productKey({ id: String(product?.id ?? ""), sku: product?.sku }))),
+    removedKeys: new Set(removedProducts.map((product) => productKey({ id: String(product?.id ?? ""), sku: product?.sku })))
+  };
+}
+
+function mergeSnapshotProducts(snapshotProducts, changedProducts) {
+  const byKey = new Map();
+  for (const product of [...snapshotProducts, ...changedProducts]) {
+    byKey.set(snapshotKey(product), product);
+  }
+
+  return [...byKey.values()].sort(compareByUpdatedAtDesc);
+}
+
+function snapshotKey(product) {
+  return String(product?.id ?? product?.sku ?? "");
+}
+
+function compareByUpdatedAtDesc(a, b) {
+  const aTime = Date.parse(a?.updatedAt) || 0;
+  const bTime = Date.parse(b?.updatedAt) || 0;
+  if (aTime !== bTime) {
+    return bTime - aTime;
+  }
+  return String(a?.id ?? "").localeCompare(String(b?.id ?? ""));
+}
+
+export function resolveSnapshotPath(args) {
+  return path.resolve(rootDir, args.snapshot);
+}
+
+async function readSnapshot(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Could not read snapshot ${path.relative(rootDir, filePath)}: ${error.message}`);
+  }
+
+  if (parsed?.version !== SNAPSHOT_VERSION || !Array.isArray(parsed.products)) {
+    logWarn(`[landing-pages] Ignoring snapshot ${path.relative(rootDir, filePath)} with unknown format.`);
+    return null;
+  }
+
+  if (!parsed.cursor) {
+    logWarn(`[landing-pages] Snapshot ${path.relative(rootDir, filePath)} has no updatedAt cursor: the API products it holds have no updatedAt, so incremental sync cannot work.`);
+    return null;
+  }
+
+  return parsed;
+}
+
+// Pass keepCursor when only some products were refreshed: advancing the cursor
+// would make the next incremental sync skip products it never fetched.
+// fullSyncAt is when the API was last listed in full.
+export async function writeSnapshot(filePath, products, { keepCursor = null, fullSyncAt = null } = {}) {
+  const cursor = products.reduce((latest, product) => {
+    const time = Date.parse(product?.updatedAt);
+    return Number.isFinite(time) && time > latest ? time : latest;
+  }, 0);
+
+  const header = {
+    version: SNAPSHOT_VERSION,
+    syncedAt: new Date().toISOString(),
+    fullSyncAt,
+    cursor: keepCursor ?? (cursor > 0 ? new Date(cursor).toISOString() : null),
+    productCount: products.length
+  };
+
+  // One product per line keeps the committed snapshot reviewable in git diffs.
+  const headerJson = JSON.stringify(header).slice(0, -1);
+  const lines = products.map((product) => JSON.stringify(product));
+  const body = `${headerJson},"products":[\n${lines.join(",\n")}\n]}\n`;
+
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, body, "utf8");
+}
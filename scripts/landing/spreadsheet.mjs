@@ -0,0 +1,622 @@
+// CSV and XLSX product import and export.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { crc32, deflateRawSync, inflateRawSync } from "node:zlib";
+
+import { rootDir } from "./config.mjs";
+import { logInfo } from "./log.mjs";
+import { parseYear, pickLocaleText, slugify } from "./normalize.mjs";
+import { quarantineEntry } from "./quality.mjs";
+
+// Spreadsheet headers are matched without case or accents, so "Año desde",
+// "ano desde" and "AÑO DESDE" all map to the same field.
+const SPREADSHEET_COLUMNS = {
+  id: ["id"],
+  sku: ["sku", "codigo"],
+  name: ["nombre", "name", "producto"],
+  description: ["descripcion", "description"],
+  category: ["categoria", "category"],
+  brand: ["marca", "brand"],
+  vehicleBrand: ["vehiculo", "marca vehiculo"],
+  model: ["modelo", "model"],
+  generation: ["generacion", "generation"],
+  yearStart: ["ano desde", "anio desde", "desde"],
+  yearEnd: ["ano hasta", "anio hasta", "hasta"],
+  location: ["ubicacion", "location"]
+};
+
+const SPREADSHEET_ATTRIBUTE_PREFIX = "atributo ";
+
+// Columns that describe the product rather than one of its compatibilities,
+// with the names row errors use for them.
+const PRODUCT_FIELD_LABELS = {
+  id: "id",
+  name: "nombre",
+  description: "descripción",
+  category: "categoría",
+  brand: "marca"
+};
+
+const MAX_REPORTED_ROW_ERRORS = 50;
+
+// With a `quarantine` list (a build), the SKUs with invalid rows are added to it
+// and the rest of the sheet is read; without one (export, validate) any invalid
+// row stops the import. A sheet without a single valid product always does.
+export async function readSpreadsheetProducts(inputPath, format, { quarantine = null } = {}) {
+  const rows = format === "xlsx"
+    ? readXlsxRows(await readFile(inputPath))
+    : parseCsvRows(await readFile(inputPath, "utf8"));
+
+  const { products, rejected, errors } = mapSpreadsheetRows(rows);
+  const label = path.relative(rootDir, inputPath);
+
+  const rowErrors = rejected.flatMap((entry) => entry.errors);
+  if (errors.length > 0 || (rowErrors.length > 0 && (!quarantine || products.length === 0))) {
+    const problems = errors.length > 0 ? errors : rowErrors;
+    const shown = problems.slice(0, MAX_REPORTED_ROW_ERRORS).map((error) => `  - ${error}`).join("\n");
+    const more = problems.length > MAX_REPORTED_ROW_ERRORS ? `\n  ... and ${problems.length - MAX_REPORTED_ROW_ERRORS} more` : "";
+    throw new Error(`${label} has ${problems.length} invalid rows:\n${shown}${more}`);
+  }
+
+  for (const entry of rejected) {
+    quarantine.push(quarantineEntry(entry, "import", entry.errors.join(" ")));
+  }
+
+  const skipped = rejected.length > 0 ? `, ${rowErrors.length} invalid rows quarantined` : "";
+  logInfo(`[landing-pages] Read ${products.length} products from ${rows.length - 1} rows of ${label}${skipped}.`);
+  return products;
+}
+
+// Writes products in the import format above (";"-delimited, one row per
+// compatibility), so an export can be edited and read back with --source csv.
+export function renderProductsCsv(products) {
+  const lines = productSpreadsheetRows(products);
+  return `${lines.map((cells) => cells.map(formatCsvCell).join(";")).join("\n")}\n`;
+}
+
+// The same rows as the first worksheet of an .xlsx file, for --source xlsx.
+export function renderProductsXlsx(products) {
+  const rows = productSpreadsheetRows(products).map((cells, rowIndex) => {
+    const row = cells.map((value, columnIndex) => {
+      const reference = `${columnLettersFromIndex(columnIndex)}${rowIndex + 1}`;
+      if (typeof value === "number") {
+        return `<c r="${reference}"><v>${value}</v></c>`;
+      }
+      const text = String(value ?? "");
+      return text === "" ? "" : `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXmlText(text)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${row.join("")}</row>`;
+  });
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  return writeZip([
+    ["[Content_Types].xml", `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`],
+    ["_rels/.rels", `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ["xl/workbook.xml", `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Productos" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+    ["xl/_rels/workbook.xml.rels", `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`],
+    ["xl/worksheets/sheet1.xml", `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.join("")}</sheetData></worksheet>`]
+  ]);
+}
+
+// Header and one row per compatibility (a product without any gets one row).
+function productSpreadsheetRows(products) {
+  const attributeNames = [...new Set(products.flatMap((product) => Object.keys(product.attributes ?? {})))].sort();
+  const header = [
+    "ID", "SKU", "Nombre", "Descripción", "Categoría", "Marca",
+    "Vehículo", "Modelo", "Generación", "Año desde", "Año hasta", "Ubicación",
+    ...attributeNames.map((name) => `Atributo ${name}`)
+  ];
+  const lines = [header];
+
+  for (const product of products) {
+    const productCells = [
+      product.id,
+      product.sku,
+      pickLocaleText(product.name, ""),
+      pickLocaleText(product.description, ""),
+      pickLocaleText(product.category?.name, ""),
+      pickLocaleText(product.brand?.name, "")
+    ];
+    const attributeCells = attributeNames.map((name) => product.attributes?.[name] ?? "");
+    const compatibilities = product.compatibilities?.length > 0 ? product.compatibilities : [null];
+
+    for (const compatibility of compatibilities) {
+      const generation = compatibility?.vehicleGeneration;
+      lines.push([
+        ...productCells,
+        generation?.vehicleModel?.vehicleBrand?.name ?? "",
+        generation?.vehicleModel?.name ?? "",
+        generation?.generationName ?? "",
+        generation?.yearStart ?? "",
+        generation?.yearEnd ?? "",
+        compatibility?.vehicleLocation?.name ?? "",
+        ...attributeCells
+      ]);
+    }
+  }
+
+  return lines;
+}
+
+function formatCsvCell(value) {
+  const text = String(value ?? "");
+  return /[;"\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// Turns spreadsheet rows (header first) into LandingProductPage-shaped products.
+// Each row is one compatibility; rows sharing a SKU build a single product.
+// Returns { products, rejected, errors }: `errors` make the whole sheet
+// unusable, `rejected` lists the SKUs (and SKU-less rows) with invalid rows as
+// { id, sku, errors }. A SKU with any invalid row is rejected as a whole, and so
+// is one whose later rows give its product fields other values than its first.
+function mapSpreadsheetRows(rows) {
+  const errors = [];
+  if (rows.length === 0) {
+    return { products: [], rejected: [], errors: ["The spreadsheet is empty."] };
+  }
+
+  const [header, ...dataRows] = rows;
+  const columns = resolveSpreadsheetColumns(header.cells);
+  for (const field of ["sku", "name"]) {
+    if (columns[field] == null) {
+      errors.push(`Row ${header.rowNumber}: missing required column '${SPREADSHEET_COLUMNS[field][0]}'.`);
+    }
+  }
+  if (errors.length > 0) {
+    return { products: [], rejected: [], errors };
+  }
+
+  const productsBySku = new Map();
+  const firstRowsBySku = new Map();
+  const rowErrorsBySku = new Map();
+  const rejected = [];
+
+  for (const row of dataRows) {
+    const cell = (field) => (columns[field] == null ? "" : String(row.cells[columns[field]] ?? "").trim());
+    if (row.cells.every((value) => String(value ?? "").trim() === "")) {
+      continue;
+    }
+
+    const sku = cell("sku");
+    if (!sku) {
+      rejected.push({ id: null, sku: null, errors: [`Row ${row.rowNumber}: 'sku' is empty.`] });
+      continue;
+    }
+
+    const rowErrors = [];
+    const productCells = Object.fromEntries(Object.keys(PRODUCT_FIELD_LABELS).map((field) => [field, cell(field)]));
+    const attributeCells = Object.fromEntries(Object.entries(columns.attributes)
+      .map(([attributeName, index]) => [attributeName, String(row.cells[index] ?? "").trim()]));
+
+    const firstRow = firstRowsBySku.get(sku);
+    if (!firstRow) {
+      if (!productCells.name) {
+        rowErrors.push("'nombre' is empty");
+      }
+      firstRowsBySku.set(sku, { rowNumber: row.rowNumber, productCells, attributeCells });
+      const product = buildSpreadsheetProduct({ ...productCells, sku });
+      for (const [attributeName, value] of Object.entries(attributeCells)) {
+        if (value) {
+          product.attributes[attributeName] = value;
+        }
+      }
+      productsBySku.set(sku, product);
+    } else {
+      rowErrors.push(...describeConflicts(firstRow, productCells, attributeCells, sku));
+    }
+
+    const compatibility = buildSpreadsheetCompatibility({
+      vehicleBrand: cell("vehicleBrand"),
+      model: cell("model"),
+      generation: cell("generation"),
+      yearStart: cell("yearStart"),
+      yearEnd: cell("yearEnd"),
+      location: cell("location")
+    }, rowErrors);
+
+    if (rowErrors.length > 0) {
+      const skuErrors = rowErrorsBySku.get(sku) ?? [];
+      skuErrors.push(`Row ${row.rowNumber} (SKU ${sku}): ${rowErrors.join("; ")}.`);
+      rowErrorsBySku.set(sku, skuErrors);
+    } else if (compatibility) {
+      productsBySku.get(sku).compatibilities.push(compatibility);
+    }
+  }
+
+  for (const [sku, skuErrors] of rowErrorsBySku) {
+    rejected.push({ id: productsBySku.get(sku).id, sku, errors: skuErrors });
+    productsBySku.delete(sku);
+  }
+  return { products: [...productsBySku.values()], rejected, errors };
+}
+
+// Product fields are taken from the first row of a SKU. A later row may leave
+// them empty, but any value it gives has to match, or it would be ignored.
+function describeConflicts(firstRow, productCells, attributeCells, sku) {
+  const conflicts = [];
+  const compare = (label, value, firstValue) => {
+    if (value && value !== firstValue) {
+      const earlier = firstValue ? `says "${firstValue}"` : "leaves it empty";
+      conflicts.push(`'${label}' is "${value}" but row ${firstRow.rowNumber} of SKU ${sku} ${earlier}`);
+    }
+  };
+  for (const [field, label] of Object.entries(PRODUCT_FIELD_LABELS)) {
+    compare(label, productCells[field], firstRow.productCells[field]);
+  }
+  for (const [attributeName, value] of Object.entries(attributeCells)) {
+    compare(`atributo ${attributeName}`, value, firstRow.attributeCells[attributeName]);
+  }
+  return conflicts;
+}
+
+function resolveSpreadsheetColumns(headerCells) {
+  const columns = { attributes: {} };
+  headerCells.forEach((rawHeader, index) => {
+    const header = normalizeHeader(rawHeader);
+    if (!header) {
+      return;
+    }
+    if (header.startsWith(SPREADSHEET_ATTRIBUTE_PREFIX)) {
+      columns.attributes[String(rawHeader).trim().slice(SPREADSHEET_ATTRIBUTE_PREFIX.length).trim()] = index;
+      return;
+    }
+    for (const [field, aliases] of Object.entries(SPREADSHEET_COLUMNS)) {
+      if (columns[field] == null && aliases.includes(header)) {
+        columns[field] = index;
+      }
+    }
+  });
+  return columns;
+}
+
+function normalizeHeader(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function buildSpreadsheetProduct({ id, sku, name, description, category, brand }) {
+  const product = {
+    id: id || `sheet-${slugify(sku)}`,
+    sku,
+    name: { es: name },
+    attributes: {},
+    compatibilities: []
+  };
+  if (description) {
+    product.description = { es: description };
+  }
+  if (category) {
+    product.category = { id: `category-${slugify(category)}`, name: { es: category } };
+  }
+  if (brand) {
+    product.brand = { id: `brand-${slugify(brand)}`, name: { es: brand } };
+  }
+  return product;
+}
+
+function buildSpreadsheetCompatibility(values, rowErrors) {
+  const { vehicleBrand, model, generation, yearStart, yearEnd, location } = values;
+  if (!vehicleBrand && !model && !generation && !yearStart && !yearEnd && !location) {
+    return null;
+  }
+
+  if (!vehicleBrand) {
+    rowErrors.push("'vehículo' is empty but the row has compatibility data");
+  }
+  if (!model) {
+    rowErrors.push("'modelo' is empty but the row has compatibility data");
+  }
+
+  const start = yearStart ? parseYear(yearStart) : null;
+  const end = yearEnd ? parseYear(yearEnd) : null;
+  if (!yearStart) {
+    rowErrors.push("'año desde' is empty");
+  } else if (start == null) {
+    rowErrors.push(`'año desde' must be a year between 1900 and 2200 (got "${yearStart}")`);
+  }
+  if (yearEnd && end == null) {
+    rowErrors.push(`'año hasta' must be a year between 1900 and 2200 or empty (got "${yearEnd}")`);
+  }
+  if (start != null && end != null && end < start) {
+    rowErrors.push(`'año hasta' (${end}) is before 'año desde' (${start})`);
+  }
+
+  const brandId = `vehicle-brand-${slugify(vehicleBrand)}`;
+  const modelId = `${brandId}-${slugify(model)}`;
+  const generationId = `${modelId}-${slugify(generation || "") || "gen"}-${start ?? ""}`;
+  const locationId = location ? `location-${slugify(location)}` : null;
+
+  return {
+    vehicleGenerationId: generationId,
+    vehicleLocationId: locationId,
+    vehicleLocation: location ? { id: locationId, name: location } : null,
+    vehicleGeneration: {
+      id: generationId,
+      yearStart: start,
+      yearEnd: end,
+      generationName: generation || null,
+      vehicleModel: {
+        id: modelId,
+        name: model,
+        vehicleBrand: { id: brandId, name: vehicleBrand }
+      }
+    }
+  };
+}
+
+// RFC 4180 CSV with quoted fields. Excel in Spanish locales exports with ";",
+// so the delimiter is whichever of "," and ";" appears more in the header line.
+function parseCsvRows(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.slice(0, content.indexOf("\n") === -1 ? content.length : content.indexOf("\n"));
+  const delimiter = (firstLine.match(/;/g) ?? []).length > (firstLine.match(/,/g) ?? []).length ? ";" : ",";
+
+  const rows = [];
+  let cells = [];
+  let field = "";
+  let inQuotes = false;
+  let lineNumber = 1;
+  let rowStart = 1;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") {
+          lineNumber += 1;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") {
+        i += 1;
+      }
+      cells.push(field);
+      rows.push({ rowNumber: rowStart, cells });
+      cells = [];
+      field = "";
+      lineNumber += 1;
+      rowStart = lineNumber;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || cells.length > 0) {
+    cells.push(field);
+    rows.push({ rowNumber: rowStart, cells });
+  }
+
+  return rows;
+}
+
+// Reads the first worksheet of an .xlsx file. Only what product lists need is
+// supported: shared strings, inline strings, numbers and booleans.
+function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+  const readEntry = (name) => {
+    const entry = entries.get(name);
+    return entry ? entry().toString("utf8") : null;
+  };
+
+  const sharedStrings = [];
+  const sharedStringsXml = readEntry("xl/sharedStrings.xml");
+  if (sharedStringsXml) {
+    for (const match of sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(extractXmlText(match[1]));
+    }
+  }
+
+  const sheetXml = readEntry(resolveFirstWorksheetPath(readEntry));
+  if (!sheetXml) {
+    throw new Error("The .xlsx file has no worksheet.");
+  }
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(/\br="(\d+)"/.exec(rowMatch[1])?.[1] ?? rows.length + 1);
+    const cells = [];
+    for (const cellMatch of (rowMatch[2] ?? "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] ?? "";
+      const reference = /\br="([A-Z]+)\d+"/.exec(attributes)?.[1];
+      const type = /\bt="([^"]+)"/.exec(attributes)?.[1] ?? "n";
+      const rawValue = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1] ?? "";
+
+      let value;
+      if (type === "s") {
+        value = sharedStrings[Number(rawValue)] ?? "";
+      } else if (type === "inlineStr") {
+        value = extractXmlText(body);
+      } else if (type === "b") {
+        value = rawValue === "1" ? "TRUE" : "FALSE";
+      } else {
+        value = decodeXmlEntities(rawValue);
+      }
+
+      cells[reference ? columnIndexFromLetters(reference) : cells.length] = value;
+    }
+    rows.push({ rowNumber, cells: Array.from(cells, (value) => value ?? "") });
+  }
+
+  return rows;
+}
+
+function resolveFirstWorksheetPath(readEntry) {
+  const workbookXml = readEntry("xl/workbook.xml") ?? "";
+  const relsXml = readEntry("xl/_rels/workbook.xml.rels") ?? "";
+  const relationId = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbookXml)?.[1];
+  const relation = relationId
+    ? new RegExp(`<Relationship\\b[^>]*\\bId="${relationId}"[^>]*>`).exec(relsXml)?.[0]
+    : null;
+  const target = relation ? /\bTarget="([^"]+)"/.exec(relation)?.[1] : null;
+
+  if (!target) {
+    return "xl/worksheets/sheet1.xml";
+  }
+  return target.startsWith("/") ? target.slice(1) : path.posix.join("xl", target);
+}
+
+function extractXmlText(xml) {
+  return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((match) => decodeXmlEntities(match[1])).join("");
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&apos;", "'")
+    .replaceAll("&amp;", "&");
+}
+
+function escapeXmlText(value) {
+  return value
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+function columnLettersFromIndex(index) {
+  let letters = "";
+  for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((rest - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function columnIndexFromLetters(letters) {
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Minimal ZIP reader (stored and deflated entries) over the central directory.
+// Returns entry name -> lazy reader of the uncompressed bytes.
+function readZipEntries(buffer) {
+  const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+  const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+  const LOCAL_FILE_HEADER = 0x04034b50;
+
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset -= 1) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error("The file is not a valid .xlsx (ZIP) archive.");
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("The .xlsx archive has a corrupt central directory.");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localHeaderOffset) !== LOCAL_FILE_HEADER) {
+        throw new Error(`The .xlsx archive entry ${name} is corrupt.`);
+      }
+      const dataStart = localHeaderOffset + 30
+        + buffer.readUInt16LE(localHeaderOffset + 26)
+        + buffer.readUInt16LE(localHeaderOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        return inflateRawSync(data);
+      }
+      throw new Error(`The .xlsx archive entry ${name} uses unsupported compression ${method}.`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// Minimal ZIP writer: deflated entries, a central directory and no extras.
+// `files` are [name, contents] pairs.
+function writeZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, contents] of files) {
+    const nameBytes = Buffer.from(name, "utf8");
+    const data = Buffer.from(contents, "utf8");
+    const compressed = deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    localParts.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
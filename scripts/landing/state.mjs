@@ -0,0 +1,232 @@
+// Build manifest and slug registry kept in products/ between builds.
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { MANIFEST_VERSION, NEW_PRODUCT_DAYS, SLUG_REGISTRY_VERSION, rootDir } from "./config.mjs";
+import { logInfo } from "./log.mjs";
+import { slugify } from "./normalize.mjs";
+
+export async function readManifest({ manifestPath }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(manifestPath, "utf8"));
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Could not read manifest ${path.relative(rootDir, manifestPath)}: ${error.message}`);
+  }
+
+  if (parsed?.version !== MANIFEST_VERSION || !parsed.products || typeof parsed.products !== "object") {
+    throw new Error(`Manifest ${path.relative(rootDir, manifestPath)} has an unknown format.`);
+  }
+
+  return parsed;
+}
+
+// Compares the mapped pages with the previous manifest and returns the next one.
+// Each pageMeta gets firstSeen/lastChanged/isNew so outputs never use the current time.
+// A product changed when its data, its file name or the templateHashOf(pageData)
+// of its page (see hashPageTemplate) did.
+export function updateManifest(previousManifest, pageDataList, buildDate, heldKeys = new Set(), templateHashOf = () => null) {
+  const previousEntries = previousManifest?.products ?? {};
+  const createdAt = previousManifest?.createdAt ?? buildDate;
+  const products = {};
+
+  for (const key of heldKeys) {
+    products[key] = previousEntries[key];
+  }
+
+  const added = [];
+  const changed = [];
+
+  for (const pageData of pageDataList) {
+    const meta = pageData.pageMeta;
+    const key = productKey(meta);
+    const { dataHash, fileName } = pageData;
+    const templateHash = templateHashOf(pageData);
+    const previous = previousEntries[key];
+    const unchanged = previous
+      && previous.dataHash === dataHash
+      && previous.fileName === fileName
+      && previous.templateHash === templateHash;
+
+    if (!previous) {
+      added.push(key);
+    } else if (!unchanged) {
+      changed.push(key);
+    }
+
+    const entry = {
+      sku: meta.sku,
+      title: meta.title,
+      fileName,
+      category: meta.category,
+      dataHash,
+      templateHash,
+      firstSeen: previous?.firstSeen ?? buildDate,
+      lastChanged: unchanged ? previous.lastChanged : buildDate
+    };
+    products[key] = entry;
+
+    meta.firstSeen = entry.firstSeen;
+    meta.lastChanged = entry.lastChanged;
+    // Products already listed when the manifest was created are not "new".
+    meta.isNew = entry.firstSeen > createdAt && daysBetween(entry.firstSeen, buildDate) <= NEW_PRODUCT_DAYS;
+  }
+
+  const removed = Object.keys(previousEntries).filter((key) => !products[key]);
+
+  return {
+    version: MANIFEST_VERSION,
+    createdAt,
+    productCount: pageDataList.length,
+    lastBuild: { date: buildDate, added, changed, removed },
+    products
+  };
+}
+
+export async function readSlugRegistry({ slugRegistryPath }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(slugRegistryPath, "utf8"));
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return { version: SLUG_REGISTRY_VERSION, slugs: {} };
+    }
+    throw new Error(`Could not read slug registry ${path.relative(rootDir, slugRegistryPath)}: ${error.message}`);
+  }
+
+  if (parsed?.version !== SLUG_REGISTRY_VERSION || !parsed.slugs || typeof parsed.slugs !== "object") {
+    throw new Error(`Slug registry ${path.relative(rootDir, slugRegistryPath)} has an unknown format.`);
+  }
+
+  return parsed;
+}
+
+export async function writeSlugRegistry(registry, filePath) {
+  await writeFile(filePath, `${JSON.stringify(registry, null, 2)}\n`, "utf8");
+}
+
+export function reservedFileNames(registry) {
+  return Object.values(registry.slugs).flatMap((entry) => [entry.fileName, ...(entry.previous ?? [])]);
+}
+
+// Pins new products, records file names that changed since the previous
+// manifest, and marks products that are no longer listed as discontinued.
+export function reconcileSlugRegistry(registry, previousManifest, pageDataList, buildDate, heldKeys = new Set()) {
+  const previousEntries = previousManifest?.products ?? {};
+  const currentKeys = new Set(heldKeys);
+  let pinned = 0;
+
+  for (const pageData of pageDataList) {
+    const key = productKey(pageData.pageMeta);
+    currentKeys.add(key);
+
+    let entry = registry.slugs[key];
+    if (!entry) {
+      entry = { fileName: pageData.fileName, pinnedAt: buildDate, previous: [] };
+      registry.slugs[key] = entry;
+      pinned += 1;
+    }
+
+    const previousFileName = previousEntries[key]?.fileName;
+    if (previousFileName && previousFileName !== entry.fileName && !(entry.previous ?? []).includes(previousFileName)) {
+      entry.previous = [...(entry.previous ?? []), previousFileName];
+    }
+
+    delete entry.discontinued;
+  }
+
+  for (const [key, entry] of Object.entries(registry.slugs)) {
+    if (currentKeys.has(key) || entry.discontinued) {
+      continue;
+    }
+    const last = previousEntries[key];
+    entry.discontinued = {
+      since: buildDate,
+      title: last?.title ?? null,
+      sku: last?.sku ?? null,
+      category: last?.category ?? null
+    };
+  }
+
+  return { pinned };
+}
+
+export async function renameSlug(outputPaths, key, newSlug) {
+  if (!newSlug) {
+    throw new Error("--rename-slug requires --slug with the new slug.");
+  }
+
+  const normalizedSlug = newSlug.replace(/\.html$/, "");
+  if (slugify(normalizedSlug) !== normalizedSlug) {
+    throw new Error(`Invalid slug '${newSlug}'. Use lowercase letters, digits and single dashes (e.g. '${slugify(normalizedSlug)}').`);
+  }
+
+  const registry = await readSlugRegistry(outputPaths);
+  const entry = registry.slugs[key];
+  if (!entry) {
+    throw new Error(`Product '${key}' has no pinned slug. Run an API build first.`);
+  }
+
+  const fileName = `${normalizedSlug}.html`;
+  if (entry.fileName === fileName) {
+    logInfo(`[landing-pages] Product '${key}' already uses ${fileName}.`);
+    return;
+  }
+
+  const owner = Object.entries(registry.slugs).find(([otherKey, other]) => {
+    return otherKey !== key && (other.fileName === fileName || (other.previous ?? []).includes(fileName));
+  });
+  if (owner) {
+    throw new Error(`${fileName} is already reserved by product '${owner[0]}'.`);
+  }
+
+  entry.previous = [...(entry.previous ?? []).filter((name) => name !== fileName), entry.fileName];
+  entry.fileName = fileName;
+  entry.pinnedAt = new Date().toISOString().slice(0, 10);
+
+  await mkdir(outputPaths.outputDir, { recursive: true });
+  await writeSlugRegistry(registry, outputPaths.slugRegistryPath);
+  logInfo(`[landing-pages] Product '${key}' now uses ${fileName}. It will be published on the next build.`);
+}
+
+export function productKey(pageMeta) {
+  return pageMeta.id || `sku:${pageMeta.sku}`;
+}
+
+// Hashes the product as the source delivered it. The rendered values also
+// depend on the current year (open-ended year ranges), so hashing them would
+// mark every such product as changed on 1 January.
+export function hashProductData(product) {
+  return shortHash(JSON.stringify(product));
+}
+
+// Hashes what a product page looks like apart from its data: the page template
+// with its partials and layouts, and the brand settings every page shows.
+export function hashPageTemplate(template, brand) {
+  const files = [template.partials, template.layouts].flatMap((sources = {}) =>
+    Object.keys(sources).sort().map((name) => [name, sources[name]])
+  );
+  return shortHash(JSON.stringify([template.source, files, brand]));
+}
+
+function shortHash(text) {
+  return createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000);
+}
+
+export function latestChangeDate(pages) {
+  const dates = pages.map((page) => page.lastChanged).filter(Boolean).sort();
+  return dates.length > 0 ? dates[dates.length - 1] : new Date().toISOString().slice(0, 10);
+}
+
+export function renderChangeSummary({ added, changed, removed }) {
+  return `[landing-pages] Manifest: ${added.length} new, ${changed.length} changed, ${removed.length} removed products.`;
+}
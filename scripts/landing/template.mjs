@@ -0,0 +1,477 @@
+// Template engine of the generated pages. A small Handlebars-like syntax:
+//
+//   {{NAME}}             value, HTML-escaped
+//   {{{NAME}}}           value as-is (markup, JSON-LD)
+//   {{#if NAME}}..{{else}}..{{/if}}, {{#unless NAME}}..{{/unless}}
+//   {{#each LIST}}..{{else}}..{{/each}}  with {{this}}, {{@index}}, {{@first}}, {{@last}}, {{@key}}
+//   {{> partial-name}}   templates/partials/partial-name.html, rendered with the current values
+//   {{! comment }}
+//   {{!< base}}          render the page inside templates/layouts/base.html
+//   {{#section NAME}}..{{/section}}
+//
+// Names may be dotted paths (`page.title`). Inside #each the item is looked up
+// first, then the enclosing values. A value that is not provided at all is left
+// in the page as written, so audits can still find it.
+//
+// In a page with a layout, #section blocks collect markup for the layout instead
+// of printing it, and everything else becomes the layout's {{{body}}}. In the
+// layout (or a page without one) a #section block prints what the page
+// collected under that name, or its own content when the page has none.
+
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+
+import { defaultLayoutsDir, defaultPartialsDir, rootDir } from "./config.mjs";
+
+const TAG_PATTERN = /\{\{(\{?)([\s\S]*?)\}\}(\}?)/g;
+const LEFTOVER_PATTERN = /\{\{\{?[^{}]+\}?\}\}/g;
+const PATH_PATTERN = /^(?:@[a-z]+|this|[A-Za-z_$][\w$-]*)(?:\.[A-Za-z_$][\w$-]*)*$/;
+const NAME_PATTERN = /^[\w-]+(?:\/[\w-]+)*$/;
+const BLOCK_HELPERS = new Set(["if", "unless", "each", "section"]);
+const MAX_PARTIAL_DEPTH = 20;
+
+// "{{" is broken up too, so text such as "{{x}}" in a product name is never
+// mistaken for a leftover template tag.
+export function escapeHtml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;")
+    .replaceAll("{{", "{&#123;");
+}
+
+// The template tags left in a rendered page, such as {{NEW_TOKEN}} for a value
+// that was not provided.
+export function findLeftoverTags(html) {
+  return [...new Set(html.match(LEFTOVER_PATTERN) ?? [])];
+}
+
+// `name` is used in error messages; `partials` and `layouts` map names to their source.
+export function renderTemplate(template, data, options = {}) {
+  return compileTemplate(template, options)(data);
+}
+
+// Parses a template once and returns a function that renders it with a set of
+// values. Partials and layouts are parsed the first time a page uses them and
+// reused by every later call, so a build parses each file once.
+export function compileTemplate(template, { partials = {}, layouts = {}, name = "template" } = {}) {
+  const document = parseTemplate(template, name);
+  const parsed = { partials: new Map(), layouts: new Map() };
+  return (data) => renderDocument(document, [data], { partials, layouts, parsed, depth: 0, sections: {}, collecting: null });
+}
+
+// Reads a page template together with every partial and layout.
+export async function loadTemplate(filePath, dirs = {}) {
+  const [template] = await loadTemplates([filePath], dirs);
+  return template;
+}
+
+// Reads several page templates; they share one read of the partials and layouts.
+export async function loadTemplates(filePaths, { partialsDir = defaultPartialsDir, layoutsDir = defaultLayoutsDir } = {}) {
+  const partials = await loadPartials(partialsDir);
+  const layouts = await loadPartials(layoutsDir);
+  return Promise.all(filePaths.map(async (filePath) => ({
+    name: path.relative(rootDir, filePath),
+    source: await readFile(filePath, "utf8"),
+    partials,
+    layouts
+  })));
+}
+
+// Checks a loaded template, with its partials and layout, against the names of
+// the values a renderer provides. `values` are the page's own values and
+// `shared` the site-wide ones. Returns { errors, warnings }: a name the template
+// uses that is never provided is an error, a page value it never uses a
+// warning. Inside #each, names that are not provided are taken for item fields.
+export function lintTemplate(template, { values = [], shared = [] } = {}) {
+  const provided = new Set([...values, ...shared]);
+  const used = new Set();
+  const errors = [];
+  const visited = new Set();
+
+  const checkName = (expression, where, inEach, tag = `{{${expression}}}`) => {
+    const head = expression.split(".")[0];
+    if (head === "this" || head.startsWith("@")) {
+      return;
+    }
+    if (provided.has(head)) {
+      used.add(head);
+    } else if (!inEach) {
+      errors.push(tag === `{{${head}}}` ? `${where}: ${tag} is never provided.` : `${where}: ${head} in ${tag} is never provided.`);
+    }
+  };
+
+  const walk = (nodes, inEach) => {
+    for (const node of nodes) {
+      if (node.type === "value") {
+        checkName(node.path, node.where, inEach);
+      } else if (node.type === "block") {
+        if (node.helper !== "section") {
+          checkName(node.path, node.where, inEach, `{{#${node.helper} ${node.path}}}`);
+        }
+        walk(node.children, inEach || node.helper === "each");
+        walk(node.inverse, inEach);
+      } else if (node.type === "partial") {
+        const source = template.partials?.[node.name];
+        if (source == null) {
+          errors.push(`${node.where}: unknown partial {{> ${node.name}}}.`);
+        } else if (!visited.has(`${node.name}:${inEach}`)) {
+          visited.add(`${node.name}:${inEach}`);
+          walk(parseTemplate(source, `partials/${node.name}.html`).nodes, inEach);
+        }
+      }
+    }
+  };
+
+  let parsed = parseTemplate(template.source, template.name);
+  const layoutNames = new Set();
+  for (;;) {
+    walk(parsed.nodes, false);
+    if (!parsed.layout) {
+      break;
+    }
+    const { name, where } = parsed.layout;
+    if (template.layouts?.[name] == null) {
+      errors.push(`${where}: unknown layout {{!< ${name}}}.`);
+      break;
+    }
+    if (layoutNames.has(name)) {
+      errors.push(`${where}: layout {{!< ${name}}} includes itself.`);
+      break;
+    }
+    layoutNames.add(name);
+    // The layout's {{{body}}} is the page.
+    provided.add("body");
+    parsed = parseTemplate(template.layouts[name], `layouts/${name}.html`);
+  }
+
+  const warnings = values
+    .filter((name) => !used.has(name))
+    .map((name) => `${template.name}: ${name} is provided but the template never uses it.`);
+  return { errors: [...new Set(errors)], warnings };
+}
+
+// Partials (and layouts) are the .html files of a directory, subdirectories
+// included, named by their path without the extension: partials/cards/product.html
+// is "cards/product".
+export async function loadPartials(partialsDir = defaultPartialsDir) {
+  const partials = {};
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.name.endsWith(".html")) {
+        const name = path.relative(partialsDir, fullPath).slice(0, -".html".length).split(path.sep).join("/");
+        partials[name] = await readFile(fullPath, "utf8");
+      }
+    }
+  };
+  await walk(partialsDir);
+  return partials;
+}
+
+// Parses a template into { layout, nodes }, a tree of text, value, block and
+// partial nodes. Syntax errors name the template and the line.
+export function parseTemplate(source, name = "template") {
+  const root = { children: [] };
+  let layout = null;
+  // Each frame is an open block and the list its nodes go to: `children`, or
+  // `inverse` after {{else}}.
+  const stack = [{ node: root, target: root.children }];
+
+  for (const token of tokenize(source, name)) {
+    const frame = stack[stack.length - 1];
+    const where = `${name}:${token.line}`;
+
+    if (token.type === "text") {
+      frame.target.push(token);
+      continue;
+    }
+    if (token.type === "comment") {
+      const layoutName = token.expression.match(/^!<\s*(\S*)\s*$/)?.[1];
+      if (layoutName !== undefined) {
+        if (!NAME_PATTERN.test(layoutName)) {
+          throw new Error(`${where}: invalid layout name "${layoutName}".`);
+        }
+        if (layout) {
+          throw new Error(`${where}: the template already uses layout "${layout.name}".`);
+        }
+        layout = { name: layoutName, where };
+      }
+      continue;
+    }
+
+    const { expression } = token;
+    if (token.raw) {
+      checkPath(expression, where);
+      frame.target.push({ type: "value", path: expression, raw: true, source: token.source, where });
+    } else if (expression.startsWith("#")) {
+      const [helper, argument, ...extra] = expression.slice(1).trim().split(/\s+/);
+      if (!BLOCK_HELPERS.has(helper)) {
+        throw new Error(`${where}: unknown block {{#${helper}}}. Use #if, #unless, #each or #section.`);
+      }
+      if (!argument || extra.length > 0) {
+        throw new Error(`${where}: {{#${helper}}} takes exactly one value name.`);
+      }
+      checkPath(argument, where);
+      const block = { type: "block", helper, path: argument, line: token.line, where, children: [], inverse: [] };
+      frame.target.push(block);
+      stack.push({ node: block, target: block.children });
+    } else if (expression === "else") {
+      if (frame.node === root || frame.target === frame.node.inverse) {
+        throw new Error(`${where}: {{else}} outside of an {{#if}}, {{#unless}} or {{#each}} block.`);
+      }
+      frame.target = frame.node.inverse;
+    } else if (expression.startsWith("/")) {
+      const helper = expression.slice(1).trim();
+      if (frame.node === root) {
+        throw new Error(`${where}: {{/${helper}}} without an opening block.`);
+      }
+      if (frame.node.helper !== helper) {
+        throw new Error(`${where}: {{/${helper}}} closes {{#${frame.node.helper}}} from line ${frame.node.line}.`);
+      }
+      stack.pop();
+    } else if (expression.startsWith(">")) {
+      const partialName = expression.slice(1).trim();
+      if (!NAME_PATTERN.test(partialName)) {
+        throw new Error(`${where}: invalid partial name "${partialName}".`);
+      }
+      frame.target.push({ type: "partial", name: partialName, where, indent: token.indent ?? "" });
+    } else {
+      checkPath(expression, where);
+      frame.target.push({ type: "value", path: expression, raw: false, source: token.source, where });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new Error(`${name}:${open.line}: {{#${open.helper}}} is never closed.`);
+  }
+  return { layout, nodes: root.children };
+}
+
+function checkPath(expression, where) {
+  if (!PATH_PATTERN.test(expression)) {
+    throw new Error(`${where}: invalid value name "${expression}".`);
+  }
+}
+
+// Splits the source into text and tag tokens. Block, else, partial and comment tags
+// that stand alone on their line take the whole line with them, so they do
+// not leave blank lines in the page.
+function tokenize(source, name) {
+  const tokens = [];
+  let lastIndex = 0;
+  let line = 1;
+  const countLines = (text) => (text.match(/\n/g) ?? []).length;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, openBrace, body, closeBrace] = match;
+    const text = source.slice(lastIndex, match.index);
+    tokens.push({ type: "text", value: text, line });
+    line += countLines(text);
+
+    const raw = openBrace === "{";
+    if (raw !== (closeBrace === "}")) {
+      throw new Error(`${name}:${line}: unbalanced braces in ${tag}.`);
+    }
+    const expression = body.trim();
+    if (expression.startsWith("!")) {
+      tokens.push({ type: "comment", expression, line, standalone: true });
+    } else {
+      const standalone = !raw && (/^[#/>]/.test(expression) || expression === "else");
+      tokens.push({ type: "tag", raw, expression, source: tag, line, standalone });
+    }
+    line += countLines(tag);
+    lastIndex = match.index + tag.length;
+  }
+
+  const rest = source.slice(lastIndex);
+  if (rest.includes("{{")) {
+    throw new Error(`${name}:${line + countLines(rest.slice(0, rest.indexOf("{{")))}: unclosed {{ tag.`);
+  }
+  tokens.push({ type: "text", value: rest, line });
+
+  // Text tokens sit between every two tags, so a tag's neighbours are always
+  // text. Lines are checked on the original text before any is trimmed.
+  const standaloneTags = tokens.filter((token, index) => {
+    if (!token.standalone) {
+      return false;
+    }
+    const before = tokens[index - 1].value;
+    const startsLine = (index === 1 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/).test(before);
+    return startsLine && /^[ \t]*(\r?\n|$)/.test(tokens[index + 1].value);
+  });
+  for (const token of standaloneTags) {
+    const index = tokens.indexOf(token);
+    // A partial on its own line keeps that line's indentation.
+    token.indent = tokens[index - 1].value.match(/[ \t]*$/)[0];
+    tokens[index - 1].value = tokens[index - 1].value.replace(/[ \t]*$/, "");
+    tokens[index + 1].value = tokens[index + 1].value.replace(/^[ \t]*(\r?\n)?/, "");
+  }
+  return tokens.filter((token) => token.type !== "text" || token.value !== "");
+}
+
+// Renders a parsed template and, when it names one, the layout around it. The
+// sections a page collects win over those of the layouts it sits in.
+function renderDocument({ layout, nodes }, scopes, context) {
+  if (!layout) {
+    return renderNodes(nodes, scopes, context);
+  }
+
+  const source = context.layouts[layout.name];
+  if (source == null) {
+    throw new Error(`${layout.where}: unknown layout {{!< ${layout.name}}}. Layouts live in templates/layouts/.`);
+  }
+  if (context.depth >= MAX_PARTIAL_DEPTH) {
+    throw new Error(`${layout.where}: layout {{!< ${layout.name}}} is nested more than ${MAX_PARTIAL_DEPTH} levels deep.`);
+  }
+
+  const outerCollecting = context.collecting;
+  const collected = {};
+  context.collecting = collected;
+  let body;
+  try {
+    body = renderNodes(nodes, scopes, context);
+  } finally {
+    context.collecting = outerCollecting;
+  }
+  context.sections = { ...collected, ...context.sections };
+
+  context.depth += 1;
+  try {
+    const trimmedBody = body.replace(/^(?:[ \t]*\r?\n)+/, "").trimEnd();
+    if (!context.parsed.layouts.has(layout.name)) {
+      context.parsed.layouts.set(layout.name, parseTemplate(source, `layouts/${layout.name}.html`));
+    }
+    return renderDocument(context.parsed.layouts.get(layout.name), [{ body: trimmedBody }, ...scopes], context);
+  } finally {
+    context.depth -= 1;
+  }
+}
+
+function renderNodes(nodes, scopes, context) {
+  let html = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      html += node.value;
+    } else if (node.type === "value") {
+      const value = lookup(node.path, scopes);
+      if (value === undefined) {
+        html += node.source;
+      } else if (value !== null) {
+        html += node.raw ? String(value) : escapeHtml(value);
+      }
+    } else if (node.type === "block") {
+      html += renderBlock(node, scopes, context);
+    } else if (node.type === "partial") {
+      html += renderPartial(node, scopes, context);
+    }
+  }
+  return html;
+}
+
+function renderBlock(node, scopes, context) {
+  if (node.helper === "section") {
+    return renderSection(node, scopes, context);
+  }
+
+  const value = lookup(node.path, scopes);
+
+  if (node.helper === "if" || node.helper === "unless") {
+    const show = isTruthy(value) === (node.helper === "if");
+    return renderNodes(show ? node.children : node.inverse ?? [], scopes, context);
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : value && typeof value === "object" ? Object.entries(value) : [];
+  if (entries.length === 0) {
+    return renderNodes(node.inverse ?? [], scopes, context);
+  }
+
+  return entries.map(([key, item], index) => {
+    const meta = { "@index": index, "@key": key, "@first": index === 0, "@last": index === entries.length - 1 };
+    return renderNodes(node.children, [{ this: item, meta }, ...scopes], context);
+  }).join("");
+}
+
+// Section blocks of a page collect their markup (repeated blocks add to it);
+// elsewhere they print the collected markup or their own content.
+function renderSection(node, scopes, context) {
+  const html = renderNodes(node.children, scopes, context);
+  if (context.collecting) {
+    context.collecting[node.path] = (context.collecting[node.path] ?? "") + html;
+    return "";
+  }
+  return context.sections[node.path] ?? html;
+}
+
+function renderPartial(node, scopes, context) {
+  const source = context.partials[node.name];
+  if (source == null) {
+    throw new Error(`${node.where}: unknown partial {{> ${node.name}}}. Partials live in templates/partials/.`);
+  }
+  if (context.depth >= MAX_PARTIAL_DEPTH) {
+    throw new Error(`${node.where}: partial {{> ${node.name}}} is nested more than ${MAX_PARTIAL_DEPTH} levels deep.`);
+  }
+  if (!context.parsed.partials.has(node.name)) {
+    context.parsed.partials.set(node.name, parseTemplate(source, `partials/${node.name}.html`).nodes);
+  }
+  context.depth += 1;
+  try {
+    const html = renderNodes(context.parsed.partials.get(node.name), scopes, context);
+    return node.indent ? html.replace(/^(?=.)/gm, node.indent) : html;
+  } finally {
+    context.depth -= 1;
+  }
+}
+
+// Scopes are { this, meta } frames of #each, innermost first, then the page values.
+// Only own properties count, so {{constructor}} or {{name.__proto__}} never reach
+// the prototype chain.
+function lookup(expression, scopes) {
+  if (expression.startsWith("@")) {
+    const frame = scopes.find((scope) => scope.meta);
+    return frame ? frame.meta[expression] : undefined;
+  }
+
+  const [head, ...rest] = expression.split(".");
+  let value;
+  if (head === "this") {
+    const frame = scopes.find((scope) => scope.meta);
+    value = frame ? frame.this : scopes[scopes.length - 1];
+  } else {
+    const owner = scopes
+      .map((scope) => (scope.meta ? scope.this : scope))
+      .find((scope) => scope != null && typeof scope === "object" && Object.hasOwn(scope, head));
+    if (!owner) {
+      return undefined;
+    }
+    value = owner[head];
+  }
+
+  for (const key of rest) {
+    if (value == null || !Object.hasOwn(Object(value), key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
@@ -0,0 +1,43 @@
+// Signed product webhooks, shared by scripts/landing-webhook-listener.mjs and
+// the ERP stand-in scripts/send-landing-webhook.mjs.
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+export const WEBHOOK_PATH = "/webhooks/products";
+export const DEFAULT_WEBHOOK_PORT = 4020;
+export const WEBHOOK_EVENTS = ["product.updated", "product.deleted"];
+export const SIGNATURE_TOLERANCE_MS = 5 * 60_000;
+
+export function parseWebhookEvent(value) {
+  if (!WEBHOOK_EVENTS.includes(value)) {
+    throw new Error(`--event must be one of ${WEBHOOK_EVENTS.map((event) => `'${event}'`).join(", ")}.`);
+  }
+  return value;
+}
+
+// Signatures are HMAC-SHA256 over "<timestamp>.<raw body>", sent as
+// "X-Discor-Signature: sha256=<hex>" with the Unix timestamp (seconds) in
+// X-Discor-Timestamp. Returns the reason a request is refused, or null. Old
+// timestamps are refused so captured requests cannot be replayed.
+export function verifySignature({ secret, rawBody, timestamp, signature, now = Date.now() }) {
+  if (!timestamp || !signature) {
+    return "Missing X-Discor-Timestamp or X-Discor-Signature header.";
+  }
+
+  const sentAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > SIGNATURE_TOLERANCE_MS) {
+    return "Timestamp is missing or outside the allowed 5 minute window.";
+  }
+
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, rawBody)}`);
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return "Invalid signature.";
+  }
+
+  return null;
+}
+
+export function signPayload(secret, timestamp, rawBody) {
+  return createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody).digest("hex");
+}
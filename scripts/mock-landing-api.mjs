@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+
+import { parseFlags, renderUsage, UsageError } from "./landing/cli.mjs";
+import { EXIT_USAGE, rootDir } from "./landing/config.mjs";
+import { parseNonNegativeInteger, parsePositiveInteger } from "./landing/options.mjs";
+import { resolveSettings } from "./landing/project-config.mjs";
+
+const defaultFixturesPath = path.join(rootDir, "data", "test-product.json");
+
+const PROGRAM = "node scripts/mock-landing-api.mjs";
+const DEFAULT_PORT = 4010;
+const DEFAULT_TOKEN = "local-mock-landing-token-0123456789abcdef";
+const DEFAULT_RATE_LIMIT = 30;
+const RATE_LIMIT_WINDOW_MS = 60_000;
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 100;
+const MAX_SKU_LENGTH = 120;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// --config and --api-path resolve like the generator's, so the mock serves the
+// list path the generator requests.
+const FLAGS = {
+  fixtures: { value: "file|dir", description: "Products to serve (default: data/test-product.json)." },
+  port: { value: "port", parse: (value) => parsePositiveInteger(value, "port"), description: `Port to listen on (default: ${DEFAULT_PORT}).` },
+  token: { value: "token", description: "Expected bearer token (default: env LANDING_PAGE_TOKEN or a fixed local token)." },
+  config: { value: "file", description: "Project config file the API path is read from (default: discor.config.json)." },
+  apiPath: { value: "path", description: "List path to serve (env LANDING_PAGE_API_PATH, or the config)." },
+  rateLimit: { value: "n", parse: (value) => parseNonNegativeInteger(value, "rate-limit"), description: `Requests per minute and IP before 429 (default: ${DEFAULT_RATE_LIMIT}, 0 disables).` },
+  failEvery: { value: "n", parse: (value) => parseNonNegativeInteger(value, "fail-every"), description: "Fail every nth request." },
+  failRate: { value: "0-1", parse: (value) => parseRate(value, "fail-rate"), description: "Fail this share of the requests at random." },
+  failStatus: { value: "5xx", parse: parseFailStatus, description: "Status of injected failures (default: 503)." },
+  latencyMs: { value: "ms", parse: (value) => parseNonNegativeInteger(value, "latency-ms"), description: "Delay every response." },
+  help: { alias: "h", description: "Show this help." }
+};
+
+const EXIT_CODES = [
+  [0, "Stopped with SIGINT or SIGTERM."],
+  [1, "The mock could not start (unreadable fixtures or config, port in use)."],
+  [EXIT_USAGE, "Unknown flag or an invalid flag value."]
+];
+
+const RATE_LIMIT_MESSAGE = "Demasiadas solicitudes para el endpoint de landing.";
+
+main().catch((error) => {
+  if (error instanceof UsageError) {
+    console.error(`[mock-landing-api] ${error.message}`);
+    console.error(`Run "${PROGRAM} --help" for usage.`);
+    process.exit(EXIT_USAGE);
+  }
+  console.error(`[mock-landing-api] ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+});
+
+async function main() {
+  const args = parseFlags(process.argv.slice(2), FLAGS);
+  if (args.help) {
+    process.stdout.write(renderUsage({
+      usage: `${PROGRAM} [options]`,
+      summary: "Serve the landing API contract (LANDING_PAGE_API.md) from fixture files.",
+      flags: FLAGS,
+      exitCodes: EXIT_CODES
+    }));
+    return;
+  }
+
+  const { settings: { apiPath } } = await resolveSettings({ config: args.config, apiPath: args.apiPath });
+  const fixturesPath = path.resolve(rootDir, args.fixtures ?? path.relative(rootDir, defaultFixturesPath));
+  const products = sortLikeApi(await loadFixtures(fixturesPath));
+  const token = args.token ?? process.env.LANDING_PAGE_TOKEN ?? DEFAULT_TOKEN;
+  const port = args.port ?? DEFAULT_PORT;
+
+  const server = createMockServer({
+    products,
+    apiPath,
+    token,
+    rateLimit: args.rateLimit ?? DEFAULT_RATE_LIMIT,
+    failEvery: args.failEvery ?? 0,
+    failRate: args.failRate ?? 0,
+    failStatus: args.failStatus ?? 503,
+    latencyMs: args.latencyMs ?? 0
+  });
+
+  server.listen(port, () => {
+    console.log(`[mock-landing-api] Serving ${products.length} products from ${path.relative(rootDir, fixturesPath)}`);
+    console.log(`[mock-landing-api] Listening on http://localhost:${port}${apiPath}`);
+    console.log(`[mock-landing-api] Bearer token: ${token}`);
+  });
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => server.close(() => process.exit(0)));
+  }
+}
+
+async function loadFixtures(fixturesPath) {
+  const info = await stat(fixturesPath);
+  const files = info.isDirectory()
+    ? (await readdir(fixturesPath)).filter((name) => name.endsWith(".json")).sort().map((name) => path.join(fixturesPath, name))
+    : [fixturesPath];
+
+  const products = [];
+  for (const file of files) {
+    const parsed = JSON.parse(await readFile(file, "utf8"));
+    if (Array.isArray(parsed)) {
+      products.push(...parsed);
+    } else if (parsed && Array.isArray(parsed.data)) {
+      products.push(...parsed.data);
+    } else if (parsed && typeof parsed === "object") {
+      products.push(parsed);
+    }
+  }
+
+  return products;
+}
+
+// Same ordering as the real list endpoint: updatedAt desc, then id asc.
+function sortLikeApi(products) {
+  return products.slice().sort((a, b) => {
+    const aTime = Date.parse(a?.updatedAt) || 0;
+    const bTime = Date.parse(b?.updatedAt) || 0;
+    if (aTime !== bTime) {
+      return bTime - aTime;
+    }
+    return String(a?.id ?? "").localeCompare(String(b?.id ?? ""));
+  });
+}
+
+function createMockServer({ products, apiPath, token, rateLimit, failEvery, failRate, failStatus, latencyMs }) {
+  const hitsByIp = new Map();
+  let requestCount = 0;
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const ip = request.socket.remoteAddress ?? "unknown";
+
+    if (latencyMs > 0) {
+      await sleep(latencyMs);
+    }
+
+    const result = handleRequest({ request, url, ip });
+    console.log(`[mock-landing-api] ${request.method} ${url.pathname}${url.search} -> ${result.status}`);
+    sendJson(response, result.status, result.body, result.headers);
+  });
+
+  function handleRequest({ request, url, ip }) {
+    if (request.method !== "GET" || !url.pathname.startsWith(apiPath)) {
+      return { status: 404, body: { message: "Not found." } };
+    }
+
+    // Only landing API hits count towards --fail-every, like the rate limit.
+    requestCount += 1;
+
+    if (rateLimit === 0) {
+      return routeRequest({ request, url });
+    }
+
+    const bucket = consumeRateLimit(ip);
+    const headers = rateLimitHeaders(bucket);
+    if (bucket.count > rateLimit) {
+      return {
+        status: 429,
+        body: { message: RATE_LIMIT_MESSAGE },
+        headers: { ...headers, "Retry-After": headers["RateLimit-Reset"] }
+      };
+    }
+
+    return { ...routeRequest({ request, url }), headers };
+  }
+
+  function routeRequest({ request, url }) {
+    const authorization = request.headers.authorization ?? "";
+    if (!authorization.startsWith("Bearer ")) {
+      return { status: 401, body: { message: "Token de acceso requerido." } };
+    }
+    if (authorization.slice("Bearer ".length) !== token) {
+      return { status: 403, body: { message: "Token de acceso inválido." } };
+    }
+
+    if ((failEvery > 0 && requestCount % failEvery === 0) || (failRate > 0 && Math.random() < failRate)) {
+      return { status: failStatus, body: { message: "Injected failure from the mock landing API." } };
+    }
+
+    const rest = url.pathname.slice(apiPath.length);
+    if (rest === "" || rest === "/") {
+      return listProducts(url.searchParams);
+    }
+
+    let productId;
+    try {
+      productId = decodeURIComponent(rest.replace(/^\//, ""));
+    } catch {
+      return { status: 400, body: { message: "productId must be a UUID." } };
+    }
+    return getProduct(productId);
+  }
+
+  function listProducts(params) {
+    const page = params.has("page") ? Number(params.get("page")) : 1;
+    const limit = params.has("limit") ? Number(params.get("limit")) : DEFAULT_PAGE_LIMIT;
+    const productId = params.get("productId");
+    const sku = params.get("sku");
+
+    if (!Number.isInteger(page) || page < 1) {
+      return invalidQuery("page must be a positive integer.");
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+      return invalidQuery(`limit must be an integer between 1 and ${MAX_PAGE_LIMIT}.`);
+    }
+    if (productId && sku) {
+      return invalidQuery("productId and sku cannot be sent together.");
+    }
+    if (productId != null && !UUID_PATTERN.test(productId)) {
+      return invalidQuery("productId must be a UUID.");
+    }
+    if (sku != null && (sku.length === 0 || sku.length > MAX_SKU_LENGTH)) {
+      return invalidQuery(`sku must be between 1 and ${MAX_SKU_LENGTH} characters.`);
+    }
+
+    let matches = products;
+    if (productId) {
+      matches = products.filter((product) => product.id === productId);
+    } else if (sku) {
+      matches = products.filter((product) => product.sku === sku);
+    }
+
+    const totalItems = matches.length;
+    const totalPages = Math.ceil(totalItems / limit);
+    const data = matches.slice((page - 1) * limit, page * limit);
+
+    return {
+      status: 200,
+      body: { data, pagination: { totalItems, totalPages, currentPage: page } }
+    };
+  }
+
+  function getProduct(productId) {
+    if (!UUID_PATTERN.test(productId)) {
+      return { status: 400, body: { message: "productId must be a UUID." } };
+    }
+
+    const product = products.find((item) => item.id === productId);
+    if (!product) {
+      return { status: 404, body: { message: "Producto no encontrado." } };
+    }
+
+    return { status: 200, body: product };
+  }
+
+  // Fixed one-minute window per IP, like the real endpoint's limiter.
+  function consumeRateLimit(ip) {
+    const now = Date.now();
+    let bucket = hitsByIp.get(ip);
+    if (!bucket || now - bucket.startedAt >= RATE_LIMIT_WINDOW_MS) {
+      bucket = { startedAt: now, count: 0 };
+      hitsByIp.set(ip, bucket);
+    }
+
+    bucket.count += 1;
+    return bucket;
+  }
+
+  // Standard RateLimit-* headers (reset in seconds) plus the legacy
+  // X-RateLimit-* ones (reset as a Unix timestamp).
+  function rateLimitHeaders(bucket) {
+    const resetAtMs = bucket.startedAt + RATE_LIMIT_WINDOW_MS;
+    const remaining = String(Math.max(0, rateLimit - bucket.count));
+    return {
+      "RateLimit-Limit": String(rateLimit),
+      "RateLimit-Remaining": remaining,
+      "RateLimit-Reset": String(Math.max(1, Math.ceil((resetAtMs - Date.now()) / 1000))),
+      "X-RateLimit-Limit": String(rateLimit),
+      "X-RateLimit-Remaining": remaining,
+      "X-RateLimit-Reset": String(Math.ceil(resetAtMs / 1000))
+    };
+  }
+}
+
+function invalidQuery(message) {
+  return { status: 400, body: { message } };
+}
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  response.end(JSON.stringify(body));
+}
+
+function parseRate(value, fieldName) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    throw new Error(`--${fieldName} must be a number between 0 and 1.`);
+  }
+  return parsed;
+}
+
+function parseFailStatus(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 500 || parsed > 599) {
+    throw new Error("--fail-status must be a 5xx status code.");
+  }
+  return parsed;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+// Stand-in for the ERP: sends one signed product webhook to the local listener.
+
+import { parseFlags, renderUsage, UsageError } from "./landing/cli.mjs";
+import { EXIT_USAGE } from "./landing/config.mjs";
+import { DEFAULT_WEBHOOK_PORT, WEBHOOK_PATH, parseWebhookEvent, signPayload } from "./landing/webhook.mjs";
+
+const PROGRAM = "node scripts/send-landing-webhook.mjs";
+const DEFAULT_URL = `http://localhost:${DEFAULT_WEBHOOK_PORT}${WEBHOOK_PATH}`;
+
+const FLAGS = {
+  url: { value: "url", description: `Listener URL (env LANDING_WEBHOOK_URL, default: ${DEFAULT_URL}).` },
+  secret: { value: "secret", description: "Shared webhook secret (prefer env LANDING_WEBHOOK_SECRET)." },
+  event: { value: "event", parse: parseWebhookEvent, description: "product.updated (default) or product.deleted." },
+  productId: { value: "id", description: "Id of the changed product." },
+  sku: { value: "sku", description: "SKU of the changed product, when there is no --product-id." },
+  help: { alias: "h", description: "Show this help." }
+};
+
+const EXIT_CODES = [
+  [0, "The listener accepted the webhook."],
+  [1, "The webhook could not be sent or was refused."],
+  [EXIT_USAGE, "Unknown flag, an invalid flag value or a missing --product-id/--sku."]
+];
+
+main().catch((error) => {
+  if (error instanceof UsageError) {
+    console.error(`[send-landing-webhook] ${error.message}`);
+    console.error(`Run "${PROGRAM} --help" for usage.`);
+    process.exit(EXIT_USAGE);
+  }
+  console.error(`[send-landing-webhook] ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+});
+
+async function main() {
+  const args = parseFlags(process.argv.slice(2), FLAGS);
+  if (args.help) {
+    process.stdout.write(renderUsage({
+      usage: `${PROGRAM} --product-id <id> | --sku <sku> [options]`,
+      summary: "Send one signed product webhook, as the ERP does.",
+      flags: FLAGS,
+      exitCodes: EXIT_CODES
+    }));
+    return;
+  }
+
+  const secret = args.secret ?? process.env.LANDING_WEBHOOK_SECRET ?? "";
+  if (!secret) {
+    throw new Error("Missing webhook secret. Set --secret or LANDING_WEBHOOK_SECRET.");
+  }
+  if (!args.productId && !args.sku) {
+    throw new UsageError("Set --product-id or --sku.");
+  }
+
+  const body = JSON.stringify({
+    event: args.event ?? "product.updated",
+    productId: args.productId,
+    sku: args.sku,
+    occurredAt: new Date().toISOString()
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = signPayload(secret, timestamp, body);
+
+  const response = await fetch(args.url ?? process.env.LANDING_WEBHOOK_URL ?? DEFAULT_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Discor-Timestamp": timestamp,
+      "X-Discor-Signature": `sha256=${signature}`
+    },
+    body,
+    signal: AbortSignal.timeout(10_000)
+  });
+
+  console.log(`[send-landing-webhook] ${response.status} ${await response.text()}`);
+  if (!response.ok) {
+    process.exitCode = 1;
+  }
+}
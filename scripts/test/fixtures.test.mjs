@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateCatalog } from "../landing/fixtures.mjs";
+
+test("the same seed and size give the same catalog", () => {
+  assert.deepEqual(generateCatalog({ products: 200, seed: 5 }), generateCatalog({ products: 200, seed: 5 }));
+  assert.notDeepEqual(generateCatalog({ products: 200, seed: 5 }), generateCatalog({ products: 200, seed: 6 }));
+});
+
+test("the catalog mixes products with and without image", () => {
+  const products = generateCatalog({ products: 300, seed: 5 });
+  const withImage = products.filter((product) => product.image);
+
+  assert.ok(withImage.length > 0 && withImage.length < products.length);
+  for (const product of withImage) {
+    assert.equal(product.image.alt, product.name.es);
+    assert.match(product.image.url, /^\/img\/productos\/.+\.jpg$/);
+  }
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { resolveOutputPaths, swapStagedOutput } from "../landing/output.mjs";
+
+async function createSite(files) {
+  const siteDir = await mkdtemp(path.join(os.tmpdir(), "landing-output-test-"));
+  for (const [file, contents] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(siteDir, file)), { recursive: true });
+    await writeFile(path.join(siteDir, file), contents, "utf8");
+  }
+  return siteDir;
+}
+
+test("the swap keeps hand-made files and directories and drops old generated pages", async (t) => {
+  const siteDir = await createSite({
+    "products/espejo.html": "old page",
+    "products/espejo-viejo.html": "old redirect",
+    "products/promo.html": "hand-made page",
+    "products/ofertas/invierno.html": "hand-made page in a subdirectory",
+    "products/notas.txt": "hand-made notes",
+    ".products-staging/espejo.html": "new page",
+    ".products-staging/index.html": "catalog"
+  });
+  t.after(() => rm(siteDir, { recursive: true, force: true }));
+  const outputPaths = resolveOutputPaths(siteDir);
+
+  await swapStagedOutput(outputPaths, new Set(["espejo.html", "espejo-viejo.html"]));
+
+  assert.deepEqual((await readdir(outputPaths.outputDir)).sort(), ["espejo.html", "index.html", "notas.txt", "ofertas", "promo.html"]);
+  assert.equal(await readFile(path.join(outputPaths.outputDir, "espejo.html"), "utf8"), "new page");
+  assert.equal(await readFile(path.join(outputPaths.outputDir, "ofertas", "invierno.html"), "utf8"), "hand-made page in a subdirectory");
+  assert.deepEqual((await readdir(siteDir)).sort(), ["products"]);
+});
+
+test("without a slug registry every top-level page counts as generated", async (t) => {
+  const siteDir = await createSite({
+    "products/producto-anterior.html": "page of an earlier generator",
+    "products/ofertas/invierno.html": "hand-made page in a subdirectory",
+    ".products-staging/index.html": "catalog"
+  });
+  t.after(() => rm(siteDir, { recursive: true, force: true }));
+  const outputPaths = resolveOutputPaths(siteDir);
+
+  await swapStagedOutput(outputPaths);
+
+  assert.deepEqual((await readdir(outputPaths.outputDir)).sort(), ["index.html", "ofertas"]);
+});
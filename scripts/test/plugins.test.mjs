@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { createPluginRunner } from "../landing/plugins.mjs";
+
+const context = { siteUrl: "https://discor.com.ar", imageBaseUrl: "https://discor.com.ar", source: "file", outDir: "/tmp/site" };
+const pageData = { fileName: "espejo.html", pageMeta: { id: "1", sku: "ESP-1" }, templateValues: { PRODUCT_NAME: "Espejo", ATTRIBUTES: [] } };
+
+test("plain template values from plugins pass", async () => {
+  const runner = createPluginRunner([{
+    name: "banner",
+    beforeRender(values) {
+      values.BODY_END_EXTRA = "<div>Envío gratis</div>";
+      return { BADGES: [{ label: "Nuevo", order: 1, visible: true, note: null }] };
+    }
+  }], context);
+
+  const values = await runner.beforeRender({ BODY_END_EXTRA: "" }, pageData);
+
+  assert.equal(values.BODY_END_EXTRA, "<div>Envío gratis</div>");
+  assert.deepEqual(values.BADGES, [{ label: "Nuevo", order: 1, visible: true, note: null }]);
+});
+
+test("values the render workers cannot receive fail in the plugin that set them", async () => {
+  class Price {
+    constructor(amount) {
+      this.amount = amount;
+    }
+  }
+  const cases = [
+    [{ FORMAT: (value) => value.toUpperCase() }, /Plugin "prices" failed in beforeRender: FORMAT is a function\./],
+    [{ UPDATED: new Date("2026-03-01") }, /Plugin "prices" failed in beforeRender: UPDATED is an instance of Date\./],
+    [{ PRICES: [{ list: 1 }, { list: new Price(2) }] }, /Plugin "prices" failed in beforeRender: PRICES\[1\]\.list is an instance of Price\./]
+  ];
+
+  for (const [tokens, message] of cases) {
+    const runner = createPluginRunner([{ name: "clean", beforeRender: () => ({ TAG: "ok" }) }, { name: "prices", beforeRender: () => tokens }], context);
+    await assert.rejects(runner.beforeRender({}, pageData), message);
+  }
+});
+
+test("afterMap hooks may only leave plain data in templateValues", async () => {
+  const runner = createPluginRunner([{
+    name: "compat",
+    afterMap(page) {
+      page.templateValues.ATTRIBUTES.push({ name: "lado", value: Symbol("izquierdo") });
+    }
+  }], context);
+
+  await assert.rejects(
+    runner.afterMap(structuredClone(pageData), {}),
+    /Plugin "compat" failed in afterMap: templateValues\.ATTRIBUTES\[0\]\.value is a symbol\./
+  );
+});
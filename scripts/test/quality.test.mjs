@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { productSchemaPath } from "../landing/config.mjs";
+import { buildQualityReport, writeQualityReport } from "../landing/quality.mjs";
+
+const schema = JSON.parse(await readFile(productSchemaPath, "utf8"));
+
+test("the quality report shows the name of products with a locale name", () => {
+  const product = {
+    id: "0f8fad5b-d9cb-469f-a165-70867728950e",
+    sku: "ESP-000001-I",
+    name: { es: "Espejo izquierdo Fiat Palio" },
+    compatibilities: []
+  };
+  const report = buildQualityReport([product], schema, "test");
+
+  assert.equal(report.products.length, 1);
+  assert.equal(report.products[0].name, "Espejo izquierdo Fiat Palio");
+});
+
+test("the quality report survives products whose name cannot be read", () => {
+  const product = {
+    id: "0f8fad5b-d9cb-469f-a165-70867728950e",
+    sku: "ESP-000001-I",
+    compatibilities: []
+  };
+  Object.defineProperty(product, "name", {
+    enumerable: true,
+    get() {
+      throw new Error("broken name");
+    }
+  });
+  const report = buildQualityReport([product], schema, "test");
+
+  assert.equal(report.products[0].name, "");
+  assert.match(report.products[0].errors[0], /could not be checked/);
+});
+
+test("the HTML quality report renders on the base layout without analytics", async (t) => {
+  const reportDir = await mkdtemp(path.join(os.tmpdir(), "landing-quality-test-"));
+  t.after(() => rm(reportDir, { recursive: true, force: true }));
+  const product = { id: "sin-nombre", sku: "<b>ESP-1</b>", compatibilities: [] };
+
+  await writeQualityReport(buildQualityReport([product], schema, "data/{{fixtures}}.json"), reportDir);
+  const html = await readFile(path.join(reportDir, "quality-report.html"), "utf8");
+
+  assert.match(html, /<meta name="robots" content="noindex, nofollow">/);
+  assert.match(html, /<nav class="site-nav">/);
+  assert.match(html, /Origen: data\/\{&#123;fixtures\}\}\.json/);
+  assert.match(html, /<tr class="has-errors">\s*<td>&lt;b&gt;ESP-1&lt;\/b&gt;<\/td>/);
+  assert.doesNotMatch(html, /googletagmanager/);
+});
+
+test("an HTML quality report without problems says so", async (t) => {
+  const reportDir = await mkdtemp(path.join(os.tmpdir(), "landing-quality-test-"));
+  t.after(() => rm(reportDir, { recursive: true, force: true }));
+
+  await writeQualityReport(buildQualityReport([], schema, "test"), reportDir);
+
+  assert.match(await readFile(path.join(reportDir, "quality-report.html"), "utf8"), /<td colspan="3">Sin problemas detectados\.<\/td>/);
+});
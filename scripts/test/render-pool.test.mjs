@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { generateCatalog } from "../landing/fixtures.mjs";
+import { normalizeProducts } from "../landing/normalize.mjs";
+import { renderPages } from "../landing/render-pool.mjs";
+import { loadPageTemplates, mapProductToTemplateData, PLUGIN_SLOTS, productPageValues, renderBrandValues } from "../landing/render.mjs";
+
+// 250 pages make three batches, one for each of three workers.
+async function productJobs(pagesDir = null) {
+  const templates = await loadPageTemplates();
+  const usedFileNames = new Set();
+  const pages = normalizeProducts(generateCatalog({ products: 250, seed: 7 })).map((product) =>
+    mapProductToTemplateData(product, { baseUrl: "https://discor.com.ar", imageBaseUrl: "https://discor.com.ar", usedFileNames })
+  );
+  const categoryMap = {};
+  for (const pageData of pages) {
+    (categoryMap[pageData.pageMeta.category] ??= []).push(pageData);
+  }
+  const extraValues = { ...PLUGIN_SLOTS, ...renderBrandValues() };
+  const jobs = pages.map((pageData) => ({
+    template: templates.product.name,
+    values: productPageValues(pageData, categoryMap, extraValues),
+    filePath: pagesDir ? path.join(pagesDir, pageData.fileName) : null,
+    keepHtml: true
+  }));
+  // A value missing for one page fails only that page, in any thread.
+  delete jobs[120].values.PRODUCT_NAME;
+  return { templates: [templates.product], jobs };
+}
+
+test("worker threads render the same pages as the main thread", async () => {
+  const { templates, jobs } = await productJobs();
+
+  const single = await renderPages(templates, jobs, { workers: 1 });
+  const pooled = await renderPages(templates, jobs, { workers: 3 });
+
+  assert.equal(pooled.length, jobs.length);
+  assert.deepEqual(pooled, single);
+  assert.match(pooled[120].renderError, /still contains \{\{PRODUCT_NAME\}\}/);
+  assert.equal(pooled.filter((result) => result.html).length, jobs.length - 1);
+});
+
+test("worker threads write every page they render", async (t) => {
+  const pagesDir = await mkdtemp(path.join(os.tmpdir(), "landing-render-pool-test-"));
+  t.after(() => rm(pagesDir, { recursive: true, force: true }));
+  const { templates, jobs } = await productJobs(pagesDir);
+
+  const results = await renderPages(templates, jobs, { workers: 3, maxOpenFiles: 6 });
+
+  for (const index of [0, 119, 249]) {
+    assert.equal(await readFile(jobs[index].filePath, "utf8"), results[index].html);
+  }
+  await assert.rejects(readFile(jobs[120].filePath, "utf8"), { code: "ENOENT" });
+});
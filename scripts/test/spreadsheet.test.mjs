@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { configureLog } from "../landing/log.mjs";
+import { readSpreadsheetProducts, renderProductsCsv, renderProductsXlsx } from "../landing/spreadsheet.mjs";
+
+configureLog({ level: "quiet" });
+
+const HEADER = "SKU;Nombre;Categoría;Vehículo;Modelo;Año desde;Año hasta";
+
+async function writeInput(t, fileName, contents) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "landing-spreadsheet-test-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, fileName);
+  await writeFile(filePath, contents);
+  return filePath;
+}
+
+function compatibility(vehicleBrand, model, yearStart, yearEnd, { generation = null, location = null } = {}) {
+  const brandId = `vehicle-brand-${vehicleBrand.toLowerCase()}`;
+  const modelId = `${brandId}-${model.toLowerCase()}`;
+  const generationId = `${modelId}-${generation ? generation.toLowerCase() : "gen"}-${yearStart}`;
+  const locationId = location ? `location-${location.toLowerCase()}` : null;
+  return {
+    vehicleGenerationId: generationId,
+    vehicleLocationId: locationId,
+    vehicleLocation: location ? { id: locationId, name: location } : null,
+    vehicleGeneration: {
+      id: generationId,
+      yearStart,
+      yearEnd,
+      generationName: generation,
+      vehicleModel: { id: modelId, name: model, vehicleBrand: { id: brandId, name: vehicleBrand } }
+    }
+  };
+}
+
+const products = [
+  {
+    id: "0f8fad5b-d9cb-469f-a165-70867728950e",
+    sku: "ESP-1",
+    name: { es: "Espejo \"Plus\" <izq> & cromado; 2 ojos" },
+    attributes: { lado: "izquierdo" },
+    compatibilities: [
+      compatibility("Fiat", "Palio", 1996, 2017, { generation: "G1", location: "Delantera" }),
+      compatibility("Fiat", "Siena", 1997, null)
+    ],
+    description: { es: "Línea 1\nLínea 2" },
+    category: { id: "category-espejos", name: { es: "Espejos" } },
+    brand: { id: "brand-discor", name: { es: "DisCor" } }
+  },
+  {
+    id: "sheet-opt-2",
+    sku: "OPT-2",
+    name: { es: "Óptica trasera" },
+    attributes: {},
+    compatibilities: []
+  }
+];
+
+test("CSV import uses the delimiter that appears more in the header line", async (t) => {
+  const semicolons = await writeInput(t, "punto-y-coma.csv", `${HEADER}\nESP-1;"Espejo, izquierdo";Espejos;Fiat;Palio;1996;2017\n`);
+  const commas = await writeInput(t, "comas.csv", `${HEADER.replaceAll(";", ",")}\r\nESP-1,"Espejo; izquierdo",Espejos,Fiat,Palio,1996,\r\n`);
+
+  const [fromSemicolons] = await readSpreadsheetProducts(semicolons, "csv");
+  const [fromCommas] = await readSpreadsheetProducts(commas, "csv");
+
+  assert.equal(fromSemicolons.name.es, "Espejo, izquierdo");
+  assert.equal(fromSemicolons.compatibilities[0].vehicleGeneration.yearEnd, 2017);
+  assert.equal(fromCommas.name.es, "Espejo; izquierdo");
+  assert.equal(fromCommas.compatibilities[0].vehicleGeneration.yearEnd, null);
+});
+
+test("products survive a CSV export and import", async (t) => {
+  const filePath = await writeInput(t, "products.csv", renderProductsCsv(products));
+
+  assert.deepEqual(await readSpreadsheetProducts(filePath, "csv"), products);
+});
+
+test("products survive an XLSX export and import", async (t) => {
+  const filePath = await writeInput(t, "products.xlsx", renderProductsXlsx(products));
+
+  assert.deepEqual(await readSpreadsheetProducts(filePath, "xlsx"), products);
+});
+
+test("XLSX import rejects files that are not a ZIP archive or are cut short", async (t) => {
+  const text = await writeInput(t, "texto.xlsx", "SKU;Nombre\nESP-1;Espejo\n");
+  const xlsx = renderProductsXlsx(products);
+  const truncated = await writeInput(t, "cortado.xlsx", xlsx.subarray(0, xlsx.length - 10));
+
+  await assert.rejects(readSpreadsheetProducts(text, "xlsx"), /not a valid \.xlsx \(ZIP\) archive/);
+  await assert.rejects(readSpreadsheetProducts(truncated, "xlsx"), /not a valid \.xlsx \(ZIP\) archive/);
+});
+
+test("XLSX import rejects a corrupt central directory and unsupported compression", async (t) => {
+  const xlsx = renderProductsXlsx(products);
+  const centralDirectoryOffset = xlsx.readUInt32LE(xlsx.length - 22 + 16);
+
+  const corrupt = Buffer.from(xlsx);
+  corrupt.writeUInt32LE(0, centralDirectoryOffset);
+  await assert.rejects(readSpreadsheetProducts(await writeInput(t, "corrupto.xlsx", corrupt), "xlsx"), /corrupt central directory/);
+
+  // Marks every entry as bzip2 (method 12) in the central directory.
+  const bzip2 = Buffer.from(xlsx);
+  for (let offset = centralDirectoryOffset; bzip2.readUInt32LE(offset) === 0x02014b50;) {
+    bzip2.writeUInt16LE(12, offset + 10);
+    offset += 46 + bzip2.readUInt16LE(offset + 28) + bzip2.readUInt16LE(offset + 30) + bzip2.readUInt16LE(offset + 32);
+  }
+  await assert.rejects(readSpreadsheetProducts(await writeInput(t, "bzip2.xlsx", bzip2), "xlsx"), /uses unsupported compression 12/);
+});
+
+test("a build quarantines SKUs with invalid or conflicting rows and reads the rest", async (t) => {
+  const filePath = await writeInput(t, "mixto.csv", [
+    HEADER,
+    "ESP-1;Espejo izquierdo;Espejos;Fiat;Palio;1996;2017",
+    "ESP-1;;;Fiat;Siena;1997;",
+    "OPT-2;Óptica trasera;Ópticas;Ford;Ka;2008;2016",
+    "OPT-2;Óptica trasera;Faros;Ford;Fiesta;2010;2014",
+    "MAN-3;Manija;Manijas;Chevrolet;Corsa;19xx;",
+    ";Sin código;Manijas;;;;"
+  ].join("\n"));
+  const quarantine = [];
+
+  const imported = await readSpreadsheetProducts(filePath, "csv", { quarantine });
+
+  assert.deepEqual(imported.map((product) => [product.sku, product.compatibilities.length]), [["ESP-1", 2]]);
+  assert.deepEqual(quarantine.map(({ key, sku, stage }) => ({ key, sku, stage })), [
+    { key: null, sku: null, stage: "import" },
+    { key: "sheet-opt-2", sku: "OPT-2", stage: "import" },
+    { key: "sheet-man-3", sku: "MAN-3", stage: "import" }
+  ]);
+  assert.equal(quarantine[0].error, "Row 7: 'sku' is empty.");
+  assert.equal(quarantine[1].error, "Row 5 (SKU OPT-2): 'categoría' is \"Faros\" but row 4 of SKU OPT-2 says \"Ópticas\".");
+  assert.match(quarantine[2].error, /^Row 6 \(SKU MAN-3\): 'año desde' must be a year/);
+});
+
+test("without a quarantine list any invalid row stops the import", async (t) => {
+  const filePath = await writeInput(t, "invalido.csv", `${HEADER}\nESP-1;Espejo;Espejos;Fiat;Palio;1996;\nOPT-2;;Ópticas;;;;\n`);
+
+  await assert.rejects(readSpreadsheetProducts(filePath, "csv"), /has 1 invalid rows:\n {2}- Row 3 \(SKU OPT-2\): 'nombre' is empty\./);
+});
+
+test("a sheet without a single valid product stops the build", async (t) => {
+  const filePath = await writeInput(t, "sin-productos.csv", `${HEADER}\nOPT-2;;Ópticas;;;;\n`);
+
+  await assert.rejects(readSpreadsheetProducts(filePath, "csv", { quarantine: [] }), /has 1 invalid rows/);
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { hashPageTemplate, hashProductData, updateManifest } from "../landing/state.mjs";
+
+const product = { id: "0f8fad5b-d9cb-469f-a165-70867728950e", sku: "ESP-1", name: { es: "Espejo" } };
+const template = { source: "{{!< base}}<h1>{{PRODUCT_NAME}}</h1>", partials: { head: "<title></title>" }, layouts: { base: "{{{body}}}" } };
+const brand = { name: "DisCor" };
+
+function pageData(fileName, data = product) {
+  return {
+    fileName,
+    dataHash: hashProductData(data),
+    pageMeta: { id: data.id, sku: data.sku, title: data.name.es, category: "Espejos" }
+  };
+}
+
+function firstBuild(templateHash = hashPageTemplate(template, brand)) {
+  return updateManifest(null, [pageData("espejo.html")], "2026-01-10", new Set(), () => templateHash);
+}
+
+test("a product whose data, file name and template did not change keeps its lastChanged", () => {
+  const templateHash = hashPageTemplate(template, brand);
+  const manifest = updateManifest(firstBuild(), [pageData("espejo.html")], "2026-02-01", new Set(), () => templateHash);
+
+  assert.deepEqual(manifest.lastBuild.changed, []);
+  assert.equal(manifest.products[product.id].lastChanged, "2026-01-10");
+});
+
+test("new product data marks the product as changed", () => {
+  const templateHash = hashPageTemplate(template, brand);
+  const renamed = { ...product, name: { es: "Espejo cromado" } };
+  const manifest = updateManifest(firstBuild(), [pageData("espejo.html", renamed)], "2026-02-01", new Set(), () => templateHash);
+
+  assert.deepEqual(manifest.lastBuild.changed, [product.id]);
+  assert.equal(manifest.products[product.id].lastChanged, "2026-02-01");
+});
+
+test("a new file name marks the product as changed", () => {
+  const templateHash = hashPageTemplate(template, brand);
+  const manifest = updateManifest(firstBuild(), [pageData("espejo-cromado.html")], "2026-02-01", new Set(), () => templateHash);
+
+  assert.deepEqual(manifest.lastBuild.changed, [product.id]);
+  assert.equal(manifest.products[product.id].fileName, "espejo-cromado.html");
+  assert.equal(manifest.products[product.id].lastChanged, "2026-02-01");
+});
+
+test("template, partial and brand changes mark the product as changed", () => {
+  const changes = [
+    hashPageTemplate({ ...template, source: "{{!< base}}<h2>{{PRODUCT_NAME}}</h2>" }, brand),
+    hashPageTemplate({ ...template, partials: { head: "<title>DisCor</title>" } }, brand),
+    hashPageTemplate(template, { name: "DisCor Repuestos" })
+  ];
+  for (const templateHash of changes) {
+    const manifest = updateManifest(firstBuild(), [pageData("espejo.html")], "2026-02-01", new Set(), () => templateHash);
+
+    assert.deepEqual(manifest.lastBuild.changed, [product.id]);
+  }
+});
+
+test("the template hash does not depend on the order partials were read in", () => {
+  const partials = { head: "<title></title>", "site-footer": "<footer></footer>" };
+  const reversed = Object.fromEntries(Object.entries(partials).reverse());
+
+  assert.equal(hashPageTemplate({ ...template, partials }, brand), hashPageTemplate({ ...template, partials: reversed }, brand));
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { escapeHtml, findLeftoverTags, lintTemplate, renderTemplate } from "../landing/template.mjs";
+
+const layouts = {
+  base: [
+    "<title>{{#section title}}Discor{{/section}}</title>",
+    "<meta name=\"robots\" content=\"{{#section robots}}index, follow{{/section}}\">",
+    "{{{body}}}",
+    "{{#section scripts}}{{/section}}"
+  ].join("\n")
+};
+
+test("{{ }} escapes values and {{{ }}} prints them as they are", () => {
+  const html = renderTemplate("<p title=\"{{NAME}}\">{{NAME}}</p>{{{MARKUP}}}", {
+    NAME: "Espejo \"izq\" <Fiat> & 'Palio'",
+    MARKUP: "<b>nuevo</b>"
+  });
+
+  assert.equal(html, "<p title=\"Espejo &quot;izq&quot; &lt;Fiat&gt; &amp; &#39;Palio&#39;\">Espejo &quot;izq&quot; &lt;Fiat&gt; &amp; &#39;Palio&#39;</p><b>nuevo</b>");
+});
+
+test("escapeHtml breaks up {{ so values never read as leftover tags", () => {
+  assert.equal(escapeHtml("Kit {{x}}"), "Kit {&#123;x}}");
+
+  const html = renderTemplate("<h1>{{TITLE}}</h1>", { TITLE: "Kit {{PRODUCT_TITLE}}" });
+  assert.deepEqual(findLeftoverTags(html), []);
+});
+
+test("values that are not provided stay in the page and null prints nothing", () => {
+  assert.equal(renderTemplate("{{MISSING}}|{{EMPTY}}|{{{RAW_MISSING}}}", { EMPTY: null }), "{{MISSING}}||{{{RAW_MISSING}}}");
+});
+
+test("#if and #unless pick a branch, with {{else}} and empty lists as false", () => {
+  const template = "{{#if ITEMS}}con items{{else}}sin items{{/if}}/{{#unless STOCK}}agotado{{/unless}}";
+
+  assert.equal(renderTemplate(template, { ITEMS: ["a"], STOCK: 0 }), "con items/agotado");
+  assert.equal(renderTemplate(template, { ITEMS: [], STOCK: 3 }), "sin items/");
+});
+
+test("#each walks lists and objects with their @ values and falls back to {{else}}", () => {
+  const list = "{{#each ITEMS}}{{@index}}:{{name}}{{#if @first}}(primero){{/if}}{{#unless @last}}, {{/unless}}{{else}}vacío{{/each}}";
+  assert.equal(renderTemplate(list, { ITEMS: [{ name: "Espejo" }, { name: "Óptica" }] }), "0:Espejo(primero), 1:Óptica");
+  assert.equal(renderTemplate(list, { ITEMS: [] }), "vacío");
+
+  const object = "{{#each COUNTS}}{{@key}}={{this}};{{/each}}";
+  assert.equal(renderTemplate(object, { COUNTS: { espejos: 2, opticas: 5 } }), "espejos=2;opticas=5;");
+});
+
+test("#each looks item fields up first and then the page values", () => {
+  const html = renderTemplate("{{#each ITEMS}}<a href=\"{{PREFIX}}{{fileName}}\">{{title}}</a>{{/each}}", {
+    PREFIX: "../",
+    title: "page title",
+    ITEMS: [{ fileName: "espejo.html", title: "Espejo" }]
+  });
+
+  assert.equal(html, "<a href=\"../espejo.html\">Espejo</a>");
+});
+
+test("block tags alone on their line leave no blank lines", () => {
+  const html = renderTemplate("<ul>\n  {{#each ITEMS}}\n  <li>{{this}}</li>\n  {{/each}}\n</ul>\n", { ITEMS: ["a", "b"] });
+
+  assert.equal(html, "<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>\n");
+});
+
+test("a page on a layout fills its sections and the rest of the page becomes the body", () => {
+  const page = [
+    "{{!< base}}",
+    "{{#section title}}{{TITLE}} | Discor{{/section}}",
+    "{{#section robots}}noindex, follow{{/section}}",
+    "",
+    "<main>{{TITLE}}</main>"
+  ].join("\n");
+  const html = renderTemplate(page, { TITLE: "Espejo" }, { layouts });
+
+  assert.equal(html, "<title>Espejo | Discor</title>\n<meta name=\"robots\" content=\"noindex, follow\">\n<main>Espejo</main>\n");
+});
+
+test("layout sections keep their own content when the page leaves them out", () => {
+  const html = renderTemplate("{{!< base}}\n<main>catálogo</main>", {}, { layouts });
+
+  assert.equal(html, "<title>Discor</title>\n<meta name=\"robots\" content=\"index, follow\">\n<main>catálogo</main>\n");
+});
+
+test("partials render with the current values and keep the indentation of their line", () => {
+  const html = renderTemplate("<div>\n  {{> card}}\n</div>", { NAME: "Espejo" }, { partials: { card: "<p>{{NAME}}</p>\n<p>fin</p>\n" } });
+
+  assert.equal(html, "<div>\n  <p>Espejo</p>\n  <p>fin</p>\n</div>");
+});
+
+test("lookups only read own properties, never the prototype chain", () => {
+  const html = renderTemplate("{{constructor}}|{{toString}}|{{NAME.__proto__}}|{{NAME.length}}|{{#each ITEMS}}{{constructor.name}}{{/each}}", {
+    NAME: "Espejo",
+    ITEMS: [{}]
+  });
+
+  assert.equal(html, "{{constructor}}|{{toString}}|{{NAME.__proto__}}|6|{{constructor.name}}");
+});
+
+test("lintTemplate rejects unclosed and unknown tags", () => {
+  const lint = (source) => lintTemplate({ name: "page.html", source, partials: {}, layouts }, { values: ["TITLE"] });
+
+  assert.throws(() => lint("<h1>{{TITLE}}</h1>\n{{#if TITLE}}"), /page\.html:2: \{\{#if\}\} is never closed/);
+  assert.throws(() => lint("<h1>{{TITLE</h1>"), /page\.html:1: unclosed \{\{ tag/);
+  assert.throws(() => lint("{{#with TITLE}}{{/with}}"), /unknown block \{\{#with\}\}/);
+  assert.throws(() => lint("{{#if TITLE}}{{/each}}"), /\{\{\/each\}\} closes \{\{#if\}\}/);
+  assert.throws(() => lint("{{{TITLE}}"), /unbalanced braces/);
+
+  assert.deepEqual(lint("{{!< missing}}{{TITLE}}").errors, ["page.html:1: unknown layout {{!< missing}}."]);
+  assert.deepEqual(lint("{{> missing}}{{TITLE}}").errors, ["page.html:1: unknown partial {{> missing}}."]);
+  assert.deepEqual(lint("{{TITEL}}"), {
+    errors: ["page.html:1: {{TITEL}} is never provided."],
+    warnings: ["page.html: TITLE is provided but the template never uses it."]
+  });
+});
+
+test("lintTemplate accepts a page on a layout that uses every value", () => {
+  const template = { name: "page.html", source: "{{!< base}}\n{{#section title}}{{TITLE}}{{/section}}", partials: {}, layouts };
+
+  assert.deepEqual(lintTemplate(template, { values: ["TITLE"] }), { errors: [], warnings: [] });
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { SIGNATURE_TOLERANCE_MS, signPayload, verifySignature } from "../landing/webhook.mjs";
+
+const secret = "shared-secret";
+const rawBody = Buffer.from(JSON.stringify({ event: "product.updated", sku: "ESP-1" }));
+const now = Date.parse("2026-03-01T12:00:00Z");
+const timestamp = String(now / 1000);
+
+function signedRequest(overrides = {}) {
+  return { secret, rawBody, timestamp, signature: `sha256=${signPayload(secret, timestamp, rawBody)}`, now, ...overrides };
+}
+
+test("a request signed with the shared secret is accepted", () => {
+  assert.equal(verifySignature(signedRequest()), null);
+});
+
+test("a body changed after signing is refused", () => {
+  const tampered = Buffer.from(JSON.stringify({ event: "product.deleted", sku: "ESP-1" }));
+
+  assert.equal(verifySignature(signedRequest({ rawBody: tampered })), "Invalid signature.");
+  assert.equal(verifySignature(signedRequest({ secret: "other-secret" })), "Invalid signature.");
+});
+
+test("timestamps outside the replay window are refused even with a valid signature", () => {
+  const stale = String((now - SIGNATURE_TOLERANCE_MS - 1000) / 1000);
+  const future = String((now + SIGNATURE_TOLERANCE_MS + 1000) / 1000);
+  const justInside = String((now - SIGNATURE_TOLERANCE_MS + 1000) / 1000);
+
+  for (const sentAt of [stale, future, "not-a-number"]) {
+    const request = signedRequest({ timestamp: sentAt, signature: `sha256=${signPayload(secret, sentAt, rawBody)}` });
+    assert.equal(verifySignature(request), "Timestamp is missing or outside the allowed 5 minute window.");
+  }
+  assert.equal(verifySignature(signedRequest({ timestamp: justInside, signature: `sha256=${signPayload(secret, justInside, rawBody)}` })), null);
+});
+
+test("a signature made for another timestamp or without headers is refused", () => {
+  const earlier = String(now / 1000 - 60);
+
+  assert.equal(verifySignature(signedRequest({ timestamp: earlier })), "Invalid signature.");
+  assert.equal(verifySignature(signedRequest({ signature: undefined })), "Missing X-Discor-Timestamp or X-Discor-Signature header.");
+});